@@ -0,0 +1,75 @@
+// Keeps the booth usable while venue Wi-Fi is down: same-origin files
+// (app shell, hashed bundles, onnxruntime wasm, backgrounds, fonts) are
+// served from cache once they have been loaded online. So are the files of a
+// background catalog hosted elsewhere, e.g. in a storage bucket.
+const CACHE_NAME = 'booth-shell-v1';
+
+// Folder of a catalog outside this site, passed by main.jsx as ?catalogScope=.
+// Only that folder is cached: the rest of its origin may be an API.
+const CATALOG_SCOPE = new URL(self.location.href).searchParams.get('catalogScope');
+const isCached = (url) =>
+  url.origin === self.location.origin || (Boolean(CATALOG_SCOPE) && url.href.startsWith(CATALOG_SCOPE));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(['/', '/index.html']))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) =>
+      Promise.all(keys.filter((key) => key !== CACHE_NAME && key.startsWith('booth-shell-')).map((key) => caches.delete(key)))
+    )
+  );
+  self.clients.claim();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || !isCached(url)) return;
+
+  // Navigations: network first so new deployments are picked up
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Manifests (background catalog, overlays): network first so edits show
+  // up without a redeploy, the cached copy while offline
+  if (url.pathname.endsWith('.json')) {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(request).then((cached) => cached || Response.error()))
+    );
+    return;
+  }
+
+  // Everything else: cache first, filling the cache on the way
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).then((response) => {
+        // Partial (206) responses to video range requests cannot be cached;
+        // catalog images shown without CORS come back opaque, which is fine
+        if (response.status === 200 || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      });
+    })
+  );
+});
@@ -4,15 +4,26 @@ import NamePage from './components/NamePage';
 import PhotoPage from './components/PhotoPage';
 import BackgroundSelectionPage from './components/BackgroundSelectionPage';
 import ResultPage from './components/ResultPage';
+import SubjectEditorPage from './components/SubjectEditorPage';
+import CameraSettingsPage from './components/CameraSettingsPage';
+import AdminBackgroundsPage from './components/AdminBackgroundsPage';
+import EventSettingsPage from './components/EventSettingsPage';
+import { useEventProfileLoader } from './hooks/useEventProfileLoader';
 
 function App() {
+  useEventProfileLoader();
+
   return (
     <Router>
       <Routes>
         <Route path="/" element={<BackgroundSelectionPage />} />
         <Route path="/name" element={<NamePage />} />
         <Route path="/photo" element={<PhotoPage />} />
+        <Route path="/edit" element={<SubjectEditorPage />} />
         <Route path="/result" element={<ResultPage />} />
+        <Route path="/settings/camera" element={<CameraSettingsPage />} />
+        <Route path="/settings/event" element={<EventSettingsPage />} />
+        <Route path="/admin/backgrounds" element={<AdminBackgroundsPage />} />
       </Routes>
     </Router>
   );
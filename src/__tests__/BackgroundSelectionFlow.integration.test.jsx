@@ -11,6 +11,28 @@ global.navigator.mediaDevices = {
   }))
 };
 
+// Run on the default settings instead of fetching public/events.json
+jest.mock('../hooks/useEventProfileLoader', () => ({
+  useEventProfileLoader: jest.fn()
+}));
+
+// Serve a fixed catalog instead of fetching public/backgrounds.json
+jest.mock('../hooks/useBackgroundCatalog', () => ({
+  useBackgroundCatalog: () => ({
+    status: 'ready',
+    backgrounds: [
+      { id: 'bg', src: '/bg.jpeg', label: 'Background 1' },
+      { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' },
+      { id: 'bg2', src: '/bg2.jpg', label: 'Background 3' },
+      { id: 'bg3', src: '/bg3.jpg', label: 'Background 4' },
+      { id: 'bg4', src: '/bg4.jpg', label: 'Background 5' }
+    ],
+    categories: [],
+    error: null,
+    reload: jest.fn()
+  })
+}));
+
 // Mock Webcam component
 jest.mock('react-webcam', () => {
   return function MockWebcam({ onUserMedia, ...props }) {
@@ -4,7 +4,8 @@ import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import { MemoryRouter } from 'react-router-dom';
 import BackgroundSelectionPage from '../components/BackgroundSelectionPage';
-import appReducer from '../features/appSlice';
+import appReducer, { incrementRetakeCount } from '../features/appSlice';
+import { createCustomBackground } from '../lib/customBackgrounds';
 
 const mockNavigate = jest.fn();
 jest.mock('react-router-dom', () => ({
@@ -12,6 +13,35 @@ jest.mock('react-router-dom', () => ({
   useNavigate: () => mockNavigate,
 }));
 
+// Serve a fixed catalog instead of fetching public/backgrounds.json
+jest.mock('../hooks/useBackgroundCatalog', () => ({
+  useBackgroundCatalog: () => ({
+    status: 'ready',
+    backgrounds: [
+      { id: 'bg', src: '/bg.jpeg', label: 'Background 1' },
+      { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' },
+      { id: 'bg2', src: '/bg2.jpg', label: 'Background 3' },
+      { id: 'bg3', src: '/bg3.jpg', label: 'Background 4' },
+      { id: 'bg4', src: '/bg4.jpg', label: 'Background 5' }
+    ],
+    categories: [],
+    error: null,
+    reload: jest.fn()
+  })
+}));
+
+// Full-size custom backgrounds are canvas work jsdom cannot do
+jest.mock('../lib/customBackgrounds', () => ({
+  ...jest.requireActual('../lib/customBackgrounds'),
+  createCustomBackground: jest.fn((spec) => ({
+    id: `custom-${spec.id}`,
+    label: spec.label,
+    src: `data:image/jpeg;base64,${spec.colors.join('')}`,
+    custom: true
+  })),
+  renderCustomBackground: jest.fn(() => ({ toDataURL: () => 'data:image/png;base64,preview' }))
+}));
+
 describe('BackgroundSelectionPage', () => {
   let store;
 
@@ -112,6 +142,32 @@ describe('BackgroundSelectionPage', () => {
     expect(mockNavigate).toHaveBeenCalledWith('/photo');
   });
 
+  test('starting a session resets retakes left over from the previous guest', () => {
+    store.dispatch(incrementRetakeCount());
+    store.dispatch(incrementRetakeCount());
+    renderWithProviders(<BackgroundSelectionPage />);
+
+    fireEvent.click(screen.getByAltText('Background 1'));
+    fireEvent.click(screen.getByText('Take Photo'));
+
+    expect(store.getState().app.retakeCount).toBe(0);
+  });
+
+  test('draws a picked colour once instead of on every picker change', () => {
+    renderWithProviders(<BackgroundSelectionPage />);
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Custom' }));
+    const picker = screen.getByLabelText('Any colour');
+    ['#110000', '#220000', '#330000'].forEach((value) => fireEvent.change(picker, { target: { value } }));
+    expect(createCustomBackground).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Take Photo'));
+
+    expect(createCustomBackground).toHaveBeenCalledTimes(1);
+    expect(createCustomBackground).toHaveBeenCalledWith(expect.objectContaining({ colors: ['#330000'] }));
+    expect(store.getState().app.selectedBackground).toEqual(expect.objectContaining({ id: 'custom-solid-picked' }));
+  });
+
   test('error handling during navigation', async () => {
     // Mock Redux dispatch to throw error
     const originalDispatch = store.dispatch;
@@ -221,4 +277,18 @@ describe('BackgroundSelectionPage', () => {
     takePhotoButton.focus();
     expect(document.activeElement).toBe(takePhotoButton);
   });
-});
\ No newline at end of file
+
+  test('search narrows the backgrounds shown', () => {
+    renderWithProviders(<BackgroundSelectionPage />);
+
+    fireEvent.change(screen.getByLabelText('Search backgrounds'), { target: { value: '3' } });
+    expect(screen.getByText('Background 3')).toBeInTheDocument();
+    expect(screen.queryByText('Background 1')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search backgrounds'), { target: { value: 'nowhere' } });
+    expect(screen.getByText('No backgrounds match your search.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Clear search'));
+    expect(screen.getByText('Background 1')).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import { MemoryRouter } from 'react-router-dom';
@@ -15,16 +15,35 @@ jest.mock('react-router-dom', () => ({
   useNavigate: () => mockNavigate,
 }));
 
+// Latest props given to the webcam, e.g. its constraints and error handler
+const mockWebcamProps = {};
+const mockGetScreenshot = jest.fn(() => 'data:image/jpeg;base64,mockScreenshot');
+
 jest.mock('react-webcam', () => {
   return React.forwardRef(function MockWebcam(props, ref) {
+    mockWebcamProps.current = props;
     React.useImperativeHandle(ref, () => ({
-      getScreenshot: () => 'data:image/jpeg;base64,mockScreenshot'
+      getScreenshot: mockGetScreenshot
     }));
     
     return <div data-testid="mock-webcam" />;
   });
 });
 
+jest.mock('../lib/photoImport', () => ({
+  importPhotoFile: jest.fn(() => Promise.resolve('data:image/jpeg;base64,mockImported'))
+}));
+
+// Snap immediately and skip the review screen unless a test turns them on
+jest.mock('../config/appConfig', () => {
+  const actual = jest.requireActual('../config/appConfig');
+  return {
+    ...actual,
+    COUNTDOWN_CONFIG: { ...actual.COUNTDOWN_CONFIG, seconds: 0 },
+    REVIEW_CONFIG: { ...actual.REVIEW_CONFIG, enabled: false, maxRetakes: 1 }
+  };
+});
+
 // Mock canvas operations
 HTMLCanvasElement.prototype.getContext = jest.fn(() => ({
   clearRect: jest.fn(),
@@ -120,6 +139,112 @@ describe('PhotoPage', () => {
     expect(mockNavigate).toHaveBeenCalledWith('/');
   });
 
+  test('counts down before taking the picture', async () => {
+    const { COUNTDOWN_CONFIG } = require('../config/appConfig');
+    COUNTDOWN_CONFIG.seconds = 2;
+    jest.useFakeTimers();
+
+    try {
+      renderWithProviders(<PhotoPage />, {
+        selectedBackground: { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' }
+      });
+
+      fireEvent.click(screen.getByText('Capture'));
+      expect(screen.getByTestId('countdown')).toHaveTextContent('2');
+      expect(screen.getAllByText(/Get ready/).length).toBeGreaterThan(0);
+
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(screen.getByTestId('countdown')).toHaveTextContent('1');
+
+      await act(async () => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(screen.queryByTestId('countdown')).not.toBeInTheDocument();
+      expect(global.fetch).toHaveBeenCalled();
+    } finally {
+      COUNTDOWN_CONFIG.seconds = 0;
+      jest.useRealTimers();
+    }
+  });
+
+  describe('review step', () => {
+    const { REVIEW_CONFIG } = require('../config/appConfig');
+    const selectedBackground = { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' };
+
+    beforeEach(() => {
+      REVIEW_CONFIG.enabled = true;
+    });
+
+    afterEach(() => {
+      REVIEW_CONFIG.enabled = false;
+    });
+
+    test('shows the capture without calling the removal provider', async () => {
+      renderWithProviders(<PhotoPage />, { selectedBackground });
+
+      fireEvent.click(screen.getByText('Capture'));
+
+      expect(await screen.findByTestId('capture-review')).toBeInTheDocument();
+      expect(screen.getByAltText('Your photo')).toHaveAttribute('src', 'data:image/jpeg;base64,mockScreenshot');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('processes the capture once confirmed', async () => {
+      renderWithProviders(<PhotoPage />, { selectedBackground });
+
+      fireEvent.click(screen.getByText('Capture'));
+      fireEvent.click(await screen.findByText('Use This Photo'));
+
+      expect(screen.queryByTestId('capture-review')).not.toBeInTheDocument();
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+      expect(store.getState().app.retakeCount).toBe(0);
+    });
+
+    test('reviews an uploaded photo without using up retakes', async () => {
+      renderWithProviders(<PhotoPage />, { selectedBackground });
+
+      const file = new File(['photo'], 'guest.jpg', { type: 'image/jpeg' });
+      fireEvent.change(screen.getByTestId('photo-file-input'), { target: { files: [file] } });
+
+      expect(await screen.findByAltText('Your photo')).toHaveAttribute('src', 'data:image/jpeg;base64,mockImported');
+      expect(screen.getByText('Choose Another')).toBeInTheDocument();
+      expect(screen.queryByText(/retakes? left/)).not.toBeInTheDocument();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('limits retakes', async () => {
+      renderWithProviders(<PhotoPage />, { selectedBackground });
+
+      fireEvent.click(screen.getByText('Capture'));
+      expect(await screen.findByText('1 retake left')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Retake'));
+
+      expect(await screen.findByText('No retakes left')).toBeInTheDocument();
+      expect(screen.queryByText('Retake')).not.toBeInTheDocument();
+      expect(store.getState().app.retakeCount).toBe(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('keeps the retakes used once a capture is confirmed', async () => {
+      renderWithProviders(<PhotoPage />, { selectedBackground });
+
+      fireEvent.click(screen.getByText('Capture'));
+      fireEvent.click(await screen.findByText('Retake'));
+      fireEvent.click(await screen.findByText('Use This Photo'));
+
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+      // Coming back from the editor's Retake must not refill the budget
+      expect(store.getState().app.retakeCount).toBe(1);
+    });
+  });
+
   test('photo capture and processing flow', async () => {
     const selectedBackground = {
       id: 'bg1',
@@ -156,11 +281,26 @@ describe('PhotoPage', () => {
       if (mockImage.onload) mockImage.onload();
     }, 100);
 
-    // Should navigate to result page
+    // Should hand the cutout to the placement editor
     await waitFor(() => {
-      expect(mockNavigate).toHaveBeenCalledWith('/result', {
-        state: { combinedImage: 'data:image/jpeg;base64,mockCombinedImage' }
-      });
+      expect(mockNavigate).toHaveBeenCalledWith('/edit');
+    });
+    expect(store.getState().app.processedPhoto).toMatch(/^data:image\/png;base64,/);
+  });
+
+  test('dropped photo goes through background removal', async () => {
+    const { importPhotoFile } = require('../lib/photoImport');
+    const { IMPORT_CONFIG } = require('../config/appConfig');
+    renderWithProviders(<PhotoPage />, {
+      selectedBackground: { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' }
+    });
+
+    const file = new File(['photo'], 'guest.jpg', { type: 'image/jpeg' });
+    fireEvent.drop(screen.getByTestId('mock-webcam'), { dataTransfer: { files: [file] } });
+
+    expect(importPhotoFile).toHaveBeenCalledWith(file, { maxSize: IMPORT_CONFIG.maxSize });
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -186,9 +326,7 @@ describe('PhotoPage', () => {
 
     // Should still proceed with default background
     await waitFor(() => {
-      expect(mockNavigate).toHaveBeenCalledWith('/result', {
-        state: { combinedImage: 'data:image/jpeg;base64,mockCombinedImage' }
-      });
+      expect(mockNavigate).toHaveBeenCalledWith('/edit');
     });
   });
 
@@ -286,6 +424,34 @@ describe('PhotoPage', () => {
     expect(changeButton).toBeDisabled();
   });
 
+  test('recovers when the webcam returns no image', async () => {
+    mockGetScreenshot.mockReturnValueOnce(null);
+    renderWithProviders(<PhotoPage />);
+
+    fireEvent.click(screen.getByText('Capture'));
+
+    await waitFor(() => {
+      expect(console.error).toHaveBeenCalledWith('Error during capture:', expect.any(Error));
+    });
+    expect(screen.getByText('Capture').closest('button')).not.toBeDisabled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the default camera when the saved one is gone', () => {
+    localStorage.setItem('booth.cameraSettings', JSON.stringify({ deviceId: 'usb-cam', rotation: 90 }));
+    renderWithProviders(<PhotoPage />);
+    expect(mockWebcamProps.current.videoConstraints.deviceId).toEqual({ exact: 'usb-cam' });
+
+    act(() => {
+      mockWebcamProps.current.onUserMediaError(new Error('OverconstrainedError'));
+    });
+
+    expect(mockWebcamProps.current.videoConstraints.deviceId).toBeUndefined();
+    expect(mockWebcamProps.current.videoConstraints.facingMode).toBe('user');
+    expect(console.warn).toHaveBeenCalled();
+    localStorage.removeItem('booth.cameraSettings');
+  });
+
   test('background preview styling and layout', () => {
     const selectedBackground = {
       id: 'bg3',
@@ -1,7 +1,10 @@
 import React from 'react';
 import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
 import ResultPage from '../components/ResultPage';
+import appReducer, { incrementRetakeCount } from '../features/appSlice';
 
 // Mock the hooks
 jest.mock('../hooks/useImageDimensions');
@@ -35,11 +38,16 @@ jest.mock('qrcode.react', () => ({
   )
 }));
 
+let store;
+
 const renderResultPage = () => {
+  store = configureStore({ reducer: { app: appReducer } });
   return render(
-    <BrowserRouter>
-      <ResultPage />
-    </BrowserRouter>
+    <Provider store={store}>
+      <BrowserRouter>
+        <ResultPage />
+      </BrowserRouter>
+    </Provider>
   );
 };
 
@@ -241,6 +249,15 @@ describe('ResultPage Integration Tests', () => {
       fireEvent.click(homeButton);
       expect(mockNavigate).toHaveBeenCalledWith('/');
     });
+
+    test('home resets the retake budget for the next guest', () => {
+      renderResultPage();
+      store.dispatch(incrementRetakeCount());
+      store.dispatch(incrementRetakeCount());
+
+      fireEvent.click(screen.getByRole('button', { name: 'Home' }));
+      expect(store.getState().app.retakeCount).toBe(0);
+    });
   });
 
   describe('Responsive Behavior', () => {
@@ -446,6 +463,44 @@ describe('ResultPage Integration Tests', () => {
       expect(qrCode.getAttribute('data-value')).toMatch(/https:\/\/.*\.supabase\.co\/storage\/v1\/object\/public\/images\/combined-image-\d+\.jpeg/);
     });
 
+    test('should upload and play a recorded clip instead of the still', async () => {
+      const originalState = mockLocation.state;
+      mockLocation.state = {
+        combinedImage: originalState.combinedImage,
+        clip: 'data:video/webm;base64,GkXfo59ChoEBQveBAULygQRC'
+      };
+
+      useImageDimensions.mockReturnValue({
+        dimensions: { width: 720, height: 1280, aspectRatio: 720 / 1280, naturalWidth: 720, naturalHeight: 1280 },
+        isLoading: false,
+        error: null,
+        retry: jest.fn()
+      });
+
+      useResponsiveImageSize.mockReturnValue({
+        displayWidth: '360px',
+        displayHeight: '640px',
+        containerStyle: {},
+        imageStyle: {},
+        bottomContainerStyle: {},
+        deviceType: 'desktop'
+      });
+
+      try {
+        renderResultPage();
+
+        const video = screen.getByTestId('result-clip');
+        expect(video.getAttribute('poster')).toBe(originalState.combinedImage);
+
+        await waitFor(() => {
+          expect(screen.getByTestId('qr-code')).toBeInTheDocument();
+        });
+        expect(screen.getByTestId('qr-code').getAttribute('data-value')).toMatch(/\/clip-\d+\.webm$/);
+      } finally {
+        mockLocation.state = originalState;
+      }
+    });
+
     test('should handle upload errors gracefully', async () => {
       supabase.storage.from.mockReturnValue({
         upload: jest.fn().mockResolvedValue({
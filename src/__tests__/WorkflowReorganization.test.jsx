@@ -15,6 +15,23 @@ global.navigator.mediaDevices = {
 };
 
 // Mock Webcam component
+// Serve a fixed catalog instead of fetching public/backgrounds.json
+jest.mock('../hooks/useBackgroundCatalog', () => ({
+  useBackgroundCatalog: () => ({
+    status: 'ready',
+    backgrounds: [
+      { id: 'bg', src: '/bg.jpeg', label: 'Background 1' },
+      { id: 'bg1', src: '/bg1.jpg', label: 'Background 2' },
+      { id: 'bg2', src: '/bg2.jpg', label: 'Background 3' },
+      { id: 'bg3', src: '/bg3.jpg', label: 'Background 4' },
+      { id: 'bg4', src: '/bg4.jpg', label: 'Background 5' }
+    ],
+    categories: [],
+    error: null,
+    reload: jest.fn()
+  })
+}));
+
 jest.mock('react-webcam', () => {
   return React.forwardRef(function MockWebcam(props, ref) {
     React.useImperativeHandle(ref, () => ({
@@ -5,7 +5,10 @@ import appReducer, {
   setPhoto,
   setProcessedPhoto,
   setPresetImage,
-  setFinalImageUrl
+  setFinalImageUrl,
+  incrementRetakeCount,
+  resetRetakeCount,
+  setEventProfile
 } from '../features/appSlice';
 
 describe('appSlice', () => {
@@ -16,6 +19,8 @@ describe('appSlice', () => {
     presetImage: null,
     finalImageUrl: '',
     selectedBackground: null,
+    retakeCount: 0,
+    eventProfile: null,
   };
 
   test('should return the initial state', () => {
@@ -98,6 +103,25 @@ describe('appSlice', () => {
       const actual = appReducer(initialState, setFinalImageUrl(finalImageUrl));
       expect(actual.finalImageUrl).toEqual(finalImageUrl);
     });
+
+    test('should count and reset retakes', () => {
+      let actual = appReducer(initialState, incrementRetakeCount());
+      actual = appReducer(actual, incrementRetakeCount());
+      expect(actual.retakeCount).toBe(2);
+
+      actual = appReducer(actual, resetRetakeCount());
+      expect(actual.retakeCount).toBe(0);
+    });
+
+    test('should handle setEventProfile', () => {
+      const profile = { id: 'smith-wedding', name: 'The Smith Wedding' };
+
+      let actual = appReducer(initialState, setEventProfile(profile));
+      expect(actual.eventProfile).toEqual(profile);
+
+      actual = appReducer(actual, setEventProfile(null));
+      expect(actual.eventProfile).toBeNull();
+    });
   });
 
   describe('state immutability', () => {
@@ -0,0 +1,169 @@
+import {
+  validateBackgroundEntry,
+  validateCatalog,
+  resolveCatalogAssets,
+  listCategories,
+  filterBackgrounds,
+  paginate,
+  loadBackgroundCatalog
+} from '../lib/backgroundCatalog';
+
+const entry = (overrides = {}) => ({ id: 'bg2', src: '/bg2.jpg', label: 'Taj Mahal', ...overrides });
+
+const respond = (body, { ok = true, status = 200 } = {}) =>
+  Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe('validateBackgroundEntry', () => {
+  test('accepts a full entry', () => {
+    expect(
+      validateBackgroundEntry(
+        entry({
+          category: 'Monuments',
+          tags: ['agra'],
+          thumbnail: '/thumbs/bg2.jpg',
+          enabled: true,
+          placement: { horizon: 0.56 },
+          caption: false,
+          overlays: [{ type: 'image', src: '/frames/gold.png', anchor: 'fill' }]
+        })
+      )
+    ).toBeNull();
+  });
+
+  test('requires id, src and label', () => {
+    expect(validateBackgroundEntry({ id: 'bg2', src: '/bg2.jpg' })).toMatch(/label/);
+    expect(validateBackgroundEntry(entry({ id: ' ' }))).toMatch(/id/);
+  });
+
+  test('checks optional field types', () => {
+    expect(validateBackgroundEntry(entry({ tags: 'agra' }))).toMatch(/tags/);
+    expect(validateBackgroundEntry(entry({ enabled: 'no' }))).toMatch(/enabled/);
+    expect(validateBackgroundEntry(entry({ fit: 'cover' }))).toMatch(/fit/);
+    expect(validateBackgroundEntry(entry({ overlays: [{ type: 'video' }] }))).toMatch(/overlay/);
+  });
+});
+
+describe('validateCatalog', () => {
+  test('reports every broken entry', () => {
+    const problems = validateCatalog({ backgrounds: [entry(), { id: 'x' }, entry()] });
+
+    expect(problems).toHaveLength(2);
+    expect(problems[0]).toMatch(/background 1 \(x\)/);
+    expect(problems[1]).toMatch(/duplicate id "bg2"/);
+  });
+
+  test('rejects manifests without backgrounds to offer', () => {
+    expect(validateCatalog([])).toEqual(['manifest must be a JSON object']);
+    expect(validateCatalog({ version: 2, backgrounds: [] })[0]).toMatch(/version 2/);
+    expect(validateCatalog({ backgrounds: [entry({ enabled: false })] })).toEqual(['no enabled backgrounds']);
+  });
+});
+
+describe('catalog helpers', () => {
+  test('resolves relative assets against the manifest URL', () => {
+    const resolved = resolveCatalogAssets(
+      entry({ src: 'images/bg2.jpg', thumbnail: '/thumbs/bg2.jpg', video: 'https://cdn.example.com/bg2.mp4' }),
+      'https://bucket.example.com/event/backgrounds.json'
+    );
+
+    expect(resolved.src).toBe('https://bucket.example.com/event/images/bg2.jpg');
+    expect(resolved.thumbnail).toBe('/thumbs/bg2.jpg');
+    expect(resolved.video).toBe('https://cdn.example.com/bg2.mp4');
+  });
+
+  test('lists categories once, in catalog order', () => {
+    expect(
+      listCategories([{ category: 'Monuments' }, { category: 'Palaces' }, {}, { category: 'Monuments' }])
+    ).toEqual(['Monuments', 'Palaces']);
+  });
+});
+
+describe('browsing', () => {
+  const backgrounds = [
+    entry({ id: 'bg', label: 'Charminar', category: 'Monuments', tags: ['hyderabad'] }),
+    entry({ id: 'bg1', label: 'Mysuru Palace', category: 'Palaces', tags: ['karnataka'] }),
+    entry({ id: 'bg2', label: 'Taj Mahal', category: 'Monuments', tags: ['agra', 'uttar pradesh'] }),
+    entry({ id: 'cafe', label: 'Café Mondegar' })
+  ];
+  const ids = (list) => list.map((background) => background.id);
+
+  test('filters by category', () => {
+    expect(ids(filterBackgrounds(backgrounds, { category: 'Monuments' }))).toEqual(['bg', 'bg2']);
+    expect(ids(filterBackgrounds(backgrounds, { category: null }))).toHaveLength(4);
+  });
+
+  test('searches labels, categories and tags, ignoring case and accents', () => {
+    expect(ids(filterBackgrounds(backgrounds, { query: 'PALACE' }))).toEqual(['bg1']);
+    expect(ids(filterBackgrounds(backgrounds, { query: 'monuments agra' }))).toEqual(['bg2']);
+    expect(ids(filterBackgrounds(backgrounds, { query: 'cafe' }))).toEqual(['cafe']);
+    expect(filterBackgrounds(backgrounds, { category: 'Palaces', query: 'taj' })).toEqual([]);
+  });
+
+  test('pages and clamps out-of-range pages', () => {
+    const items = [1, 2, 3, 4, 5];
+    expect(paginate(items, 1, 2)).toEqual({ items: [3, 4], page: 1, pageCount: 3 });
+    expect(paginate(items, 7, 2)).toEqual({ items: [5], page: 2, pageCount: 3 });
+    expect(paginate([], 0, 2)).toEqual({ items: [], page: 0, pageCount: 1 });
+  });
+});
+
+describe('loadBackgroundCatalog', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('returns only enabled backgrounds', async () => {
+    global.fetch.mockReturnValue(
+      respond({
+        version: 1,
+        backgrounds: [entry({ category: 'Monuments' }), entry({ id: 'old', enabled: false })]
+      })
+    );
+
+    const catalog = await loadBackgroundCatalog('/catalog-enabled.json');
+
+    expect(catalog.backgrounds.map((background) => background.id)).toEqual(['bg2']);
+    expect(catalog.categories).toEqual(['Monuments']);
+  });
+
+  test('fails with the validation problems', async () => {
+    global.fetch.mockReturnValue(respond({ backgrounds: [{ id: 'bg2' }] }));
+
+    await expect(loadBackgroundCatalog('/catalog-invalid.json')).rejects.toThrow(/Background catalog is invalid/);
+  });
+
+  test('fetches again after a failure', async () => {
+    global.fetch.mockReturnValueOnce(respond(null, { ok: false, status: 404 }));
+    await expect(loadBackgroundCatalog('/catalog-retry.json')).rejects.toThrow(/404/);
+
+    global.fetch.mockReturnValueOnce(respond({ backgrounds: [entry()] }));
+    await expect(loadBackgroundCatalog('/catalog-retry.json')).resolves.toHaveProperty('backgrounds');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('fetches again once the cached catalog is older than maxAge', async () => {
+    global.fetch.mockReturnValueOnce(respond({ backgrounds: [entry()] }));
+    await loadBackgroundCatalog('/catalog-stale.json', { maxAge: 1000 });
+    await loadBackgroundCatalog('/catalog-stale.json', { maxAge: 1000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    global.fetch.mockReturnValueOnce(respond({ backgrounds: [entry({ id: 'bg5', label: 'Worli' })] }));
+    const catalog = await loadBackgroundCatalog('/catalog-stale.json', { maxAge: 1000 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(catalog.backgrounds.map((background) => background.id)).toEqual(['bg5']);
+    Date.now.mockRestore();
+  });
+
+  test('keeps the last catalog when a refresh fails', async () => {
+    global.fetch.mockReturnValueOnce(respond({ backgrounds: [entry()] }));
+    await loadBackgroundCatalog('/catalog-refresh.json', { maxAge: 0 });
+
+    global.fetch.mockReturnValueOnce(respond(null, { ok: false, status: 503 }));
+    const catalog = await loadBackgroundCatalog('/catalog-refresh.json', { maxAge: 0 });
+
+    expect(catalog.backgrounds.map((background) => background.id)).toEqual(['bg2']);
+  });
+});
@@ -0,0 +1,158 @@
+import {
+  createBackgroundRemovalProvider,
+  getBackgroundRemovalProvider,
+  registerBackgroundRemovalProvider
+} from '../lib/backgroundRemoval';
+
+const CAPTURE = 'data:image/jpeg;base64,bW9ja1NjcmVlbnNob3Q=';
+
+describe('background removal providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      headers: { get: () => 'image/png' },
+      arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+    });
+  });
+
+  test('clipdrop provider posts the capture with the api key', async () => {
+    const provider = createBackgroundRemovalProvider('clipdrop', {
+      endpoint: 'https://clipdrop-api.co/remove-background/v1',
+      apiKey: 'test-key'
+    });
+
+    const result = await provider.removeBackground(CAPTURE);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://clipdrop-api.co/remove-background/v1',
+      expect.objectContaining({
+        method: 'POST',
+        headers: { 'x-api-key': 'test-key' }
+      })
+    );
+    expect(result).toBe('data:image/png;base64,AQID');
+  });
+
+  test('clipdrop provider rejects on API errors', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 402 });
+    const provider = createBackgroundRemovalProvider('clipdrop', { endpoint: '/x', apiKey: 'k' });
+
+    await expect(provider.removeBackground(CAPTURE)).rejects.toThrow('API error: 402');
+  });
+
+  test('clipdrop provider fails clearly without an api key', async () => {
+    const provider = createBackgroundRemovalProvider('clipdrop', { endpoint: '/x', apiKey: '' });
+
+    await expect(provider.removeBackground(CAPTURE)).rejects.toThrow(/VITE_CLIPDROP_API_KEY/);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('http provider uses the configured endpoint, field and bearer token', async () => {
+    const provider = createBackgroundRemovalProvider('http', {
+      endpoint: 'http://localhost:7000/remove',
+      fieldName: 'file',
+      apiKey: 'secret'
+    });
+
+    await provider.removeBackground(CAPTURE);
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:7000/remove');
+    expect(request.headers).toEqual({ Authorization: 'Bearer secret' });
+    expect(request.body.get('file')).toBeInstanceOf(Blob);
+  });
+
+  test('http provider rejects non-PNG responses', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      arrayBuffer: () => Promise.resolve(new ArrayBuffer(0))
+    });
+    const provider = createBackgroundRemovalProvider('http', { endpoint: '/remove' });
+
+    await expect(provider.removeBackground(CAPTURE)).rejects.toThrow('Unexpected response type');
+  });
+
+  test('mock provider returns its fixed result without touching the network', async () => {
+    const provider = createBackgroundRemovalProvider('mock', {
+      result: 'data:image/png;base64,mockCutout'
+    });
+
+    await expect(provider.removeBackground(CAPTURE)).resolves.toBe('data:image/png;base64,mockCutout');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('unknown providers throw', () => {
+    expect(() => createBackgroundRemovalProvider('nope')).toThrow(
+      'Unknown background removal provider: nope'
+    );
+  });
+
+  test('custom providers can be registered', async () => {
+    const removeBackground = jest.fn().mockResolvedValue('data:image/png;base64,custom');
+    registerBackgroundRemovalProvider('custom', () => ({ name: 'custom', removeBackground }));
+
+    const provider = createBackgroundRemovalProvider('custom');
+
+    await expect(provider.removeBackground(CAPTURE)).resolves.toBe('data:image/png;base64,custom');
+  });
+
+  test('getBackgroundRemovalProvider reuses the instance for the same config', () => {
+    const config = { provider: 'mock', mock: { result: 'x' } };
+
+    const first = getBackgroundRemovalProvider(config);
+    expect(getBackgroundRemovalProvider(config)).toBe(first);
+    expect(getBackgroundRemovalProvider({ ...config })).not.toBe(first);
+  });
+});
+
+describe('fallback provider', () => {
+  const config = (overrides = {}) => ({
+    provider: 'clipdrop',
+    fallback: 'mock',
+    clipdrop: { endpoint: '/remove', apiKey: 'k' },
+    mock: { result: 'data:image/png;base64,onDevice' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    Object.defineProperty(navigator, 'onLine', { value: true, configurable: true });
+  });
+
+  test('uses the primary provider when it succeeds', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+    });
+
+    const provider = getBackgroundRemovalProvider(config());
+
+    await expect(provider.removeBackground(CAPTURE)).resolves.toBe('data:image/png;base64,AQID');
+  });
+
+  test('falls back when the primary provider fails', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error('Network down'));
+
+    const provider = getBackgroundRemovalProvider(config());
+
+    await expect(provider.removeBackground(CAPTURE)).resolves.toBe('data:image/png;base64,onDevice');
+  });
+
+  test('skips the network entirely while offline', async () => {
+    global.fetch = jest.fn();
+    Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+
+    const provider = getBackgroundRemovalProvider(config());
+
+    await expect(provider.removeBackground(CAPTURE)).resolves.toBe('data:image/png;base64,onDevice');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('no fallback is added when it matches the primary provider', () => {
+    const provider = getBackgroundRemovalProvider(config({ fallback: 'clipdrop' }));
+
+    expect(provider.name).toBe('clipdrop');
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  DEFAULT_CAMERA_SETTINGS,
+  buildVideoConstraints,
+  getCameraDisplayStyle,
+  loadCameraSettings,
+  needsFrameTransform,
+  saveCameraSettings,
+  transformFrame
+} from '../lib/camera';
+
+global.console.warn = jest.fn();
+
+const mockContext = () => ({
+  save: jest.fn(),
+  restore: jest.fn(),
+  translate: jest.fn(),
+  scale: jest.fn(),
+  rotate: jest.fn(),
+  drawImage: jest.fn()
+});
+
+describe('camera settings storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('defaults when nothing is saved', () => {
+    expect(loadCameraSettings()).toEqual(DEFAULT_CAMERA_SETTINGS);
+  });
+
+  test('saved settings survive a reload', () => {
+    saveCameraSettings({ deviceId: 'usb-cam', rotation: 90, mirrored: true });
+    expect(loadCameraSettings()).toEqual({
+      ...DEFAULT_CAMERA_SETTINGS,
+      deviceId: 'usb-cam',
+      rotation: 90,
+      mirrored: true
+    });
+  });
+
+  test('unreadable settings fall back to the defaults', () => {
+    localStorage.setItem('booth.cameraSettings', '{not json');
+    expect(loadCameraSettings()).toEqual(DEFAULT_CAMERA_SETTINGS);
+  });
+});
+
+describe('buildVideoConstraints', () => {
+  test('uses the front camera when no device is picked', () => {
+    const constraints = buildVideoConstraints(DEFAULT_CAMERA_SETTINGS);
+    expect(constraints.facingMode).toBe('user');
+    expect(constraints.deviceId).toBeUndefined();
+    expect(constraints.width).toEqual({ ideal: 1920 });
+  });
+
+  test('pins the picked device and resolution', () => {
+    const constraints = buildVideoConstraints({ ...DEFAULT_CAMERA_SETTINGS, deviceId: 'usb-cam', resolution: '4k' });
+    expect(constraints.deviceId).toEqual({ exact: 'usb-cam' });
+    expect(constraints.facingMode).toBeUndefined();
+    expect(constraints.height).toEqual({ ideal: 2160 });
+  });
+
+  test('unknown resolutions use the default one', () => {
+    expect(buildVideoConstraints({ resolution: '8k' }).width).toEqual({ ideal: 1920 });
+  });
+});
+
+describe('frame transforms', () => {
+  test('only rotation or mirroring needs a transform', () => {
+    expect(needsFrameTransform(DEFAULT_CAMERA_SETTINGS)).toBe(false);
+    expect(needsFrameTransform({ rotation: 360 })).toBe(false);
+    expect(needsFrameTransform({ rotation: 90 })).toBe(true);
+    expect(needsFrameTransform({ mirrored: true })).toBe(true);
+  });
+
+  test('sideways rotation swaps the frame sides', () => {
+    const ctx = mockContext();
+    const canvas = { width: 1, height: 1, getContext: () => ctx };
+    const frame = { videoWidth: 1920, videoHeight: 1080 };
+
+    transformFrame(frame, { rotation: 90 }, canvas);
+
+    expect(canvas.width).toBe(1080);
+    expect(canvas.height).toBe(1920);
+    expect(ctx.rotate).toHaveBeenCalledWith(Math.PI / 2);
+    expect(ctx.drawImage).toHaveBeenCalledWith(frame, -960, -540, 1920, 1080);
+  });
+
+  test('mirroring flips horizontally without changing the size', () => {
+    const ctx = mockContext();
+    const canvas = { width: 1, height: 1, getContext: () => ctx };
+
+    transformFrame({ width: 640, height: 480 }, { mirrored: true }, canvas);
+
+    expect(canvas.width).toBe(640);
+    expect(canvas.height).toBe(480);
+    expect(ctx.scale).toHaveBeenCalledWith(-1, 1);
+  });
+
+  test('display style matches the capture transform', () => {
+    expect(getCameraDisplayStyle(DEFAULT_CAMERA_SETTINGS)).toEqual({});
+    expect(getCameraDisplayStyle({ rotation: 180, mirrored: true }).transform).toBe('scaleX(-1) rotate(180deg)');
+    expect(getCameraDisplayStyle({ rotation: 90 })).toMatchObject({ width: '100vh', height: '100vw' });
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  slugify,
+  labelFromFileName,
+  uniqueId,
+  moveEntry,
+  publishCatalog,
+  findRemovedAssets
+} from '../lib/catalogAdmin';
+import { uploadBlob, getPublicUrl } from '../lib/imageStorage';
+
+jest.mock('../lib/imageStorage', () => {
+  const base = 'https://storage.test/images';
+  return {
+    uploadBlob: jest.fn((blob, path) => Promise.resolve(`${base}/${path}`)),
+    removeFiles: jest.fn(() => Promise.resolve()),
+    getPublicUrl: (path) => `${base}/${path}`,
+    getStoragePath: (url) => (typeof url === 'string' && url.startsWith(`${base}/`) ? url.slice(base.length + 1) : null)
+  };
+});
+
+const entry = (overrides = {}) => ({ id: 'bg2', src: '/bg2.jpg', label: 'Taj Mahal', ...overrides });
+
+describe('naming', () => {
+  test('slugify makes id-safe slugs', () => {
+    expect(slugify('Taj Mahal (night)')).toBe('taj-mahal-night');
+    expect(slugify('Café Mondegar')).toBe('cafe-mondegar');
+    expect(slugify('!!!')).toBe('background');
+  });
+
+  test('labelFromFileName turns file names into labels', () => {
+    expect(labelFromFileName('gateway_of-india.jpg')).toBe('Gateway Of India');
+    expect(labelFromFileName('.jpg')).toBe('Background');
+  });
+
+  test('uniqueId numbers taken ids', () => {
+    expect(uniqueId('bg', new Set())).toBe('bg');
+    expect(uniqueId('bg', new Set(['bg', 'bg-2']))).toBe('bg-3');
+  });
+});
+
+describe('moveEntry', () => {
+  test('moves an item up or down', () => {
+    expect(moveEntry(['a', 'b', 'c'], 2, -1)).toEqual(['a', 'c', 'b']);
+    expect(moveEntry(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('leaves the list alone for moves out of range', () => {
+    const list = ['a', 'b'];
+    expect(moveEntry(list, 0, -1)).toBe(list);
+    expect(moveEntry(list, 1, 1)).toBe(list);
+  });
+});
+
+describe('publishCatalog', () => {
+  beforeEach(() => {
+    uploadBlob.mockClear();
+  });
+
+  test('uploads a valid catalog over the published one', async () => {
+    const url = await publishCatalog([entry()], 'catalog/backgrounds.json');
+
+    expect(url).toBe(getPublicUrl('catalog/backgrounds.json'));
+    expect(uploadBlob).toHaveBeenCalledWith(expect.any(Blob), 'catalog/backgrounds.json', {
+      contentType: 'application/json',
+      upsert: true,
+      cacheControl: '60'
+    });
+  });
+
+  test('refuses an invalid catalog', async () => {
+    await expect(publishCatalog([entry({ label: '' })], 'catalog/backgrounds.json')).rejects.toThrow(/label/);
+    await expect(publishCatalog([entry({ enabled: false })], 'catalog/backgrounds.json')).rejects.toThrow(
+      /no enabled backgrounds/
+    );
+    expect(uploadBlob).not.toHaveBeenCalled();
+  });
+});
+
+describe('findRemovedAssets', () => {
+  test('lists uploaded files no longer used', () => {
+    const kept = entry({ id: 'a', src: getPublicUrl('catalog/a.jpg'), thumbnail: getPublicUrl('catalog/a-thumb.jpg') });
+    const removed = entry({ id: 'b', src: getPublicUrl('catalog/b.jpg'), thumbnail: getPublicUrl('catalog/b-thumb.jpg') });
+
+    expect(findRemovedAssets([kept, removed, entry()], [kept])).toEqual(['catalog/b.jpg', 'catalog/b-thumb.jpg']);
+  });
+
+  test('ignores files outside the bucket', () => {
+    expect(findRemovedAssets([entry()], [])).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  drawClipFrame,
+  loadBackgroundSource,
+  pickClipMimeType,
+  scaleClipSize
+} from '../lib/compositing/clip';
+import { loadImage, loadVideo } from '../lib/imageUtils';
+
+jest.mock('../lib/imageUtils', () => ({
+  ...jest.requireActual('../lib/imageUtils'),
+  loadImage: jest.fn(() => Promise.resolve({ tagName: 'IMG', width: 1080, height: 1920 })),
+  loadVideo: jest.fn()
+}));
+
+global.console.warn = jest.fn();
+
+describe('pickClipMimeType', () => {
+  afterEach(() => {
+    delete global.MediaRecorder;
+  });
+
+  test('prefers the configured format when supported', () => {
+    global.MediaRecorder = { isTypeSupported: () => true };
+    expect(pickClipMimeType('video/webm;codecs=vp9')).toBe('video/webm;codecs=vp9');
+  });
+
+  test('falls back through the known formats', () => {
+    global.MediaRecorder = { isTypeSupported: (type) => type === 'video/webm' };
+    expect(pickClipMimeType('video/x-matroska')).toBe('video/webm');
+  });
+
+  test('lets the browser choose when nothing matches', () => {
+    global.MediaRecorder = { isTypeSupported: () => false };
+    expect(pickClipMimeType()).toBe('');
+  });
+});
+
+describe('scaleClipSize', () => {
+  test('scales and keeps both sides even', () => {
+    expect(scaleClipSize({ width: 1080, height: 1920 }, 2 / 3)).toEqual({ width: 720, height: 1280 });
+    expect(scaleClipSize({ width: 1500, height: 2100 }, 0.33)).toEqual({ width: 496, height: 694 });
+  });
+});
+
+describe('loadBackgroundSource', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('uses the still image without a video', async () => {
+    const source = await loadBackgroundSource('/bg5.jpg');
+    expect(source.tagName).toBe('IMG');
+    expect(loadVideo).not.toHaveBeenCalled();
+  });
+
+  test('plays the video when it loads', async () => {
+    loadVideo.mockResolvedValue({ tagName: 'VIDEO', width: 1080, height: 1920 });
+    const source = await loadBackgroundSource('/bg5.jpg', '/bg5.mp4');
+    expect(source.tagName).toBe('VIDEO');
+    expect(loadImage).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the still image when the video fails', async () => {
+    loadVideo.mockRejectedValue(new Error('Failed to load video: /bg5.mp4'));
+    const source = await loadBackgroundSource('/bg5.jpg', '/bg5.mp4');
+    expect(source.tagName).toBe('IMG');
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('drawClipFrame', () => {
+  test('draws background, lower overlays, guest, then upper overlays', () => {
+    const ctx = {
+      clearRect: jest.fn(),
+      drawImage: jest.fn(),
+      save: jest.fn(),
+      restore: jest.fn(),
+      translate: jest.fn(),
+      rotate: jest.fn(),
+      scale: jest.fn()
+    };
+    const background = { name: 'background', width: 1080, height: 1920 };
+    const subject = { name: 'subject', width: 1280, height: 720 };
+    const frame = { name: 'frame', width: 1080, height: 1920 };
+    const logo = { name: 'logo', width: 100, height: 100 };
+    const overlays = [
+      { type: 'image', image: logo, z: 200 },
+      { type: 'image', image: frame, z: 50 }
+    ];
+
+    drawClipFrame(ctx, { background, subject, overlays }, { width: 720, height: 1280 });
+
+    expect(ctx.drawImage.mock.calls.map(([image]) => image.name)).toEqual([
+      'background',
+      'frame',
+      'subject',
+      'logo'
+    ]);
+  });
+
+  test('places the guest with the given transform', () => {
+    const ctx = {
+      clearRect: jest.fn(),
+      drawImage: jest.fn(),
+      save: jest.fn(),
+      restore: jest.fn(),
+      translate: jest.fn(),
+      rotate: jest.fn(),
+      scale: jest.fn()
+    };
+    const background = { name: 'background', width: 1080, height: 1920 };
+    const subject = { name: 'subject', width: 1280, height: 720 };
+
+    drawClipFrame(ctx, { background, subject }, { width: 720, height: 1280, transform: { x: 0.1, y: 0.2, scale: 0.6, rotation: 0 } });
+
+    expect(ctx.scale).toHaveBeenCalledWith(0.6, 0.6);
+    const [x, y] = ctx.translate.mock.calls[0];
+    drawClipFrame(ctx, { background, subject }, { width: 720, height: 1280 });
+    const [centredX, centredY] = ctx.translate.mock.calls[1];
+    expect(x - centredX).toBeCloseTo(72);
+    expect(y - centredY).toBeCloseTo(256);
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  CUSTOM_BACKGROUND_PRESETS,
+  drawCustomBackground,
+  createCustomBackground,
+  createUploadedBackground
+} from '../lib/customBackgrounds';
+import { importPhotoFile } from '../lib/photoImport';
+
+jest.mock('../lib/photoImport', () => ({
+  importPhotoFile: jest.fn(() => Promise.resolve('data:image/jpeg;base64,upload'))
+}));
+
+// Records what is drawn
+const createContext = () => {
+  const gradient = { addColorStop: jest.fn() };
+  const calls = [];
+  const record = (name) => jest.fn((...args) => calls.push([name, ...args]));
+  return {
+    calls,
+    gradient,
+    fillStyle: null,
+    fillRect: jest.fn(function fillRect(...args) {
+      calls.push(['fillRect', this.fillStyle, ...args]);
+    }),
+    createLinearGradient: jest.fn(() => gradient),
+    beginPath: record('beginPath'),
+    moveTo: record('moveTo'),
+    lineTo: record('lineTo'),
+    stroke: record('stroke'),
+    arc: record('arc'),
+    fill: record('fill'),
+    save: record('save'),
+    restore: record('restore'),
+    translate: record('translate'),
+    rotate: record('rotate')
+  };
+};
+
+describe('drawCustomBackground', () => {
+  test('fills a solid colour', () => {
+    const ctx = createContext();
+    drawCustomBackground(ctx, { type: 'solid', colors: ['#2244a2'] }, 100, 200);
+    expect(ctx.calls).toEqual([['fillRect', '#2244a2', 0, 0, 100, 200]]);
+  });
+
+  test('spreads gradient colours evenly, top to bottom at 180 degrees', () => {
+    const ctx = createContext();
+    drawCustomBackground(ctx, { type: 'gradient', colors: ['#f00', '#fff', '#0f0'], angle: 180 }, 100, 200);
+
+    const [x0, y0, x1, y1] = ctx.createLinearGradient.mock.calls[0];
+    expect([x0, y0, x1, y1].map(Math.round)).toEqual([50, 0, 50, 200]);
+    expect(ctx.gradient.addColorStop.mock.calls).toEqual([
+      [0, '#f00'],
+      [0.5, '#fff'],
+      [1, '#0f0']
+    ]);
+  });
+
+  test('draws every preset pattern the same way each time', () => {
+    CUSTOM_BACKGROUND_PRESETS.filter((preset) => preset.type === 'pattern').forEach((preset) => {
+      const first = createContext();
+      const second = createContext();
+      drawCustomBackground(first, preset, 90, 160);
+      drawCustomBackground(second, preset, 90, 160);
+      expect(first.calls.length).toBeGreaterThan(1);
+      expect(first.calls).toEqual(second.calls);
+    });
+  });
+
+  test('rejects unknown patterns', () => {
+    expect(() => drawCustomBackground(createContext(), { type: 'pattern', pattern: 'plaid', colors: ['#fff'] }, 1, 1)).toThrow(
+      /plaid/
+    );
+  });
+});
+
+describe('custom background objects', () => {
+  const originalGetContext = HTMLCanvasElement.prototype.getContext;
+  const originalToDataURL = HTMLCanvasElement.prototype.toDataURL;
+
+  beforeEach(() => {
+    HTMLCanvasElement.prototype.getContext = jest.fn(() => createContext());
+    HTMLCanvasElement.prototype.toDataURL = jest.fn(() => 'data:image/jpeg;base64,generated');
+  });
+
+  afterEach(() => {
+    HTMLCanvasElement.prototype.getContext = originalGetContext;
+    HTMLCanvasElement.prototype.toDataURL = originalToDataURL;
+  });
+
+  test('generated backgrounds look like catalog entries', () => {
+    const background = createCustomBackground(CUSTOM_BACKGROUND_PRESETS[2]);
+    expect(background).toMatchObject({
+      id: 'custom-solid-blue',
+      label: 'Blue',
+      src: 'data:image/jpeg;base64,generated',
+      custom: true
+    });
+    // No place name to greet guests from
+    expect(background.caption.anonymousTemplate).toBe('');
+  });
+
+  test('uploaded backgrounds go through photo import', async () => {
+    const file = new File(['image'], 'beach.png', { type: 'image/png' });
+    const background = await createUploadedBackground(file, { maxSize: 1280 });
+
+    expect(importPhotoFile).toHaveBeenCalledWith(file, { maxSize: 1280 });
+    expect(background).toMatchObject({ id: 'custom-upload', src: 'data:image/jpeg;base64,upload', custom: true });
+  });
+});
@@ -0,0 +1,191 @@
+import {
+  validateEventProfile,
+  parseEventProfiles,
+  isEventProfileActive,
+  selectEventProfile,
+  applyEventProfile,
+  filterBackgroundsForProfile,
+  applyEventTheme,
+  loadChosenEventId,
+  saveChosenEventId
+} from '../lib/eventProfiles';
+
+const profile = (overrides = {}) => ({ id: 'wedding', name: 'The Smith Wedding', ...overrides });
+
+// Noon local time, clear of any day boundary
+const day = (date) => new Date(`${date}T12:00:00`);
+
+describe('validateEventProfile', () => {
+  test('accepts a full profile', () => {
+    expect(
+      validateEventProfile(
+        profile({
+          startDate: '2026-06-12',
+          endDate: '2026-06-14',
+          backgrounds: ['bg1'],
+          backgroundCategories: ['Palaces'],
+          overlayManifestUrl: '',
+          colors: { brand: '#8e244d', highlight: '#d4af37' },
+          pageBackground: '/events/wedding.jpg',
+          outputPreset: 'print-4x6',
+          countdownSeconds: 5,
+          steps: { name: true, clip: false },
+          caption: false
+        })
+      )
+    ).toBeNull();
+  });
+
+  test('requires id and name', () => {
+    expect(validateEventProfile({ id: 'wedding' })).toMatch(/name/);
+  });
+
+  test('checks dates, presets, steps and colors', () => {
+    expect(validateEventProfile(profile({ startDate: '12/06/2026' }))).toMatch(/startDate/);
+    expect(validateEventProfile(profile({ startDate: '2026-06-14', endDate: '2026-06-12' }))).toMatch(/after/);
+    expect(validateEventProfile(profile({ outputPreset: 'poster' }))).toMatch(/poster/);
+    expect(validateEventProfile(profile({ steps: { greeting: true } }))).toMatch(/greeting/);
+    expect(validateEventProfile(profile({ steps: { clip: 'no' } }))).toMatch(/true or false/);
+    expect(validateEventProfile(profile({ colors: { accent: '#fff' } }))).toMatch(/accent/);
+    expect(validateEventProfile(profile({ countdownSeconds: -1 }))).toMatch(/countdownSeconds/);
+  });
+});
+
+describe('parseEventProfiles', () => {
+  test('keeps valid profiles and reports the rest', () => {
+    const { profiles, problems } = parseEventProfiles({
+      version: 1,
+      events: [profile(), profile(), { id: 'fair' }, profile({ id: 'fair', name: 'Tourism Fair' })]
+    });
+
+    expect(profiles.map((item) => item.id)).toEqual(['wedding', 'fair']);
+    expect(problems).toEqual([
+      'event 1 (wedding): duplicate id "wedding"',
+      'event 2 (fair): "name" must be a non-empty string'
+    ]);
+  });
+
+  test('rejects manifests without events', () => {
+    expect(parseEventProfiles({ version: 2, events: [] }).problems).toEqual(['unsupported event profiles version 2']);
+    expect(parseEventProfiles([]).profiles).toEqual([]);
+  });
+});
+
+describe('choosing the active profile', () => {
+  const wedding = profile({ startDate: '2026-06-12', endDate: '2026-06-14' });
+  const fair = profile({ id: 'fair', name: 'Tourism Fair' });
+
+  test('date ranges are inclusive and may be open-ended', () => {
+    expect(isEventProfileActive(wedding, day('2026-06-12'))).toBe(true);
+    expect(isEventProfileActive(wedding, day('2026-06-14'))).toBe(true);
+    expect(isEventProfileActive(wedding, day('2026-06-15'))).toBe(false);
+    expect(isEventProfileActive(profile({ startDate: '2026-06-12' }), day('2030-01-01'))).toBe(true);
+    expect(isEventProfileActive(fair, day('2026-06-12'))).toBe(false);
+  });
+
+  test('a requested profile wins over the date', () => {
+    expect(selectEventProfile([wedding, fair], { requestedId: 'fair', date: day('2026-06-13') })).toBe(fair);
+    expect(selectEventProfile([wedding, fair], { date: day('2026-06-13') })).toBe(wedding);
+    expect(selectEventProfile([wedding, fair], { date: day('2026-07-01') })).toBeNull();
+  });
+
+  test('an unknown request falls back to the date', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(selectEventProfile([wedding], { requestedId: 'gala', date: day('2026-06-13') })).toBe(wedding);
+    warn.mockRestore();
+  });
+
+  test('the operator choice is remembered and cleared', () => {
+    saveChosenEventId('fair');
+    expect(loadChosenEventId()).toBe('fair');
+    saveChosenEventId('');
+    expect(loadChosenEventId()).toBe('');
+  });
+
+  test('blocked storage does not throw when saving the choice', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(() => saveChosenEventId('fair')).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+    setItem.mockRestore();
+    warn.mockRestore();
+  });
+});
+
+describe('applyEventProfile', () => {
+  const config = {
+    nameStep: { enabled: false },
+    clip: { enabled: true, durationMs: 5000 },
+    countdown: { seconds: 3, beep: true },
+    output: { preset: 'auto', format: 'jpeg' },
+    overlay: { manifestUrl: '/overlays.json' },
+    caption: { enabled: true, template: 'Greetings from {label}, {name}!' }
+  };
+
+  test('returns the defaults without a profile', () => {
+    expect(applyEventProfile(config, null)).toBe(config);
+  });
+
+  test('overrides only what the profile sets', () => {
+    const resolved = applyEventProfile(
+      config,
+      profile({
+        steps: { name: true, clip: false },
+        countdownSeconds: 5,
+        outputPreset: 'print-4x6',
+        overlayManifestUrl: '',
+        caption: { template: 'Thanks, {name}!' }
+      })
+    );
+
+    expect(resolved.nameStep).toEqual({ enabled: true });
+    expect(resolved.clip).toEqual({ enabled: false, durationMs: 5000 });
+    expect(resolved.countdown).toEqual({ seconds: 5, beep: true });
+    expect(resolved.output).toEqual({ preset: 'print-4x6', format: 'jpeg' });
+    expect(resolved.overlay.manifestUrl).toBe('');
+    expect(resolved.caption).toEqual({ enabled: true, template: 'Thanks, {name}!' });
+  });
+
+  test('caption: false turns the caption off', () => {
+    expect(applyEventProfile(config, profile({ caption: false })).caption.enabled).toBe(false);
+    expect(applyEventProfile(config, profile()).caption).toBe(config.caption);
+  });
+});
+
+describe('filterBackgroundsForProfile', () => {
+  const backgrounds = [
+    { id: 'bg', category: 'Monuments' },
+    { id: 'bg1', category: 'Palaces' },
+    { id: 'bg2', category: 'Monuments' }
+  ];
+
+  test('keeps listed ids and categories in catalog order', () => {
+    const allowed = filterBackgroundsForProfile(
+      backgrounds,
+      profile({ backgrounds: ['bg2'], backgroundCategories: ['Palaces'] })
+    );
+    expect(allowed.map((background) => background.id)).toEqual(['bg1', 'bg2']);
+  });
+
+  test('keeps everything when the profile does not limit backgrounds', () => {
+    expect(filterBackgroundsForProfile(backgrounds, profile())).toBe(backgrounds);
+    expect(filterBackgroundsForProfile(backgrounds, null)).toBe(backgrounds);
+  });
+});
+
+describe('applyEventTheme', () => {
+  test('sets and clears the branding properties', () => {
+    const root = document.createElement('div');
+
+    applyEventTheme(profile({ colors: { brand: '#8e244d' }, pageBackground: '/events/wedding.jpg' }), root);
+    expect(root.style.getPropertyValue('--brand-color')).toBe('#8e244d');
+    expect(root.style.getPropertyValue('--page-background')).toBe('url("/events/wedding.jpg")');
+
+    applyEventTheme(null, root);
+    expect(root.style.getPropertyValue('--brand-color')).toBe('');
+    expect(root.style.getPropertyValue('--page-background')).toBe('');
+  });
+});
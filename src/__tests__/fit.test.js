@@ -0,0 +1,71 @@
+import { computeFitRect } from '../lib/compositing/fit';
+import { drawBackground } from '../lib/compositing/compositor';
+
+global.console.warn = jest.fn();
+
+// Portrait 1080x1920 background into a square canvas
+const fit = (options) => computeFitRect(1080, 1920, 1080, 1080, options);
+
+describe('computeFitRect', () => {
+  test('cover fills the canvas and centres by default', () => {
+    expect(fit({ mode: 'cover' })).toEqual({ x: 0, y: -420, width: 1080, height: 1920 });
+  });
+
+  test('cover keeps the focal point in the middle of the canvas', () => {
+    const rect = fit({ mode: 'cover', focalPoint: { x: 0.5, y: 0.4 } });
+    expect(rect.y + 0.4 * rect.height).toBeCloseTo(540);
+  });
+
+  test('cover never exposes the canvas behind the background', () => {
+    const top = fit({ mode: 'cover', focalPoint: { x: 0.5, y: 0 } });
+    const bottom = fit({ mode: 'cover', focalPoint: { x: 0.5, y: 1 } });
+    expect(top.y).toBe(0);
+    expect(bottom.y + bottom.height).toBe(1080);
+  });
+
+  test('contain fits the whole background and centres the bars', () => {
+    const rect = fit({ mode: 'contain', focalPoint: { x: 0, y: 0 } });
+    expect(rect.height).toBe(1080);
+    expect(rect.width).toBeCloseTo(607.5);
+    expect(rect.x).toBeCloseTo((1080 - 607.5) / 2);
+  });
+
+  test('crop does not scale down', () => {
+    const rect = computeFitRect(1080, 1920, 540, 540, { mode: 'crop', focalPoint: { x: 0.5, y: 0.5 } });
+    expect(rect.width).toBe(1080);
+    expect(rect.x).toBe(-270);
+    expect(rect.y).toBe(-690);
+  });
+
+  test('crop scales up small backgrounds like cover', () => {
+    expect(computeFitRect(540, 960, 1080, 1080, { mode: 'crop' }).width).toBe(1080);
+  });
+
+  test('stretch matches the canvas', () => {
+    expect(fit({ mode: 'stretch' })).toEqual({ x: 0, y: 0, width: 1080, height: 1080 });
+  });
+
+  test('unknown modes fall back to cover', () => {
+    expect(fit({ mode: 'zoom' })).toEqual(fit({ mode: 'cover' }));
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('drawBackground', () => {
+  const ctx = { drawImage: jest.fn(), fillRect: jest.fn(), fillStyle: '' };
+  const background = { width: 1080, height: 1920 };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test('fills the bars for contain', () => {
+    drawBackground(ctx, background, 1080, 1080, { mode: 'contain', fill: '#ffffff' });
+    expect(ctx.fillStyle).toBe('#ffffff');
+    expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 1080, 1080);
+  });
+
+  test('draws at the fitted rectangle', () => {
+    drawBackground(ctx, background, 1080, 1080, { mode: 'cover', focalPoint: { x: 0.5, y: 0.5 } });
+    expect(ctx.fillRect).not.toHaveBeenCalled();
+    expect(ctx.drawImage).toHaveBeenCalledWith(background, 0, -420, 1080, 1920);
+  });
+});
@@ -0,0 +1,138 @@
+import { computeRowWidths, findNeckRow, computeFramingTransform, mapPlacementToCanvas } from '../lib/compositing/framing';
+import { DEFAULT_SUBJECT_TRANSFORM } from '../lib/compositing/subjectTransform';
+
+// Head widening to 18, a neck of 8, then shoulders of 40 down to the feet
+const HEAD_AND_SHOULDERS = [6, 10, 14, 16, 18, 18, 18, 16, 14, 12, 10, 8, 8, 30, ...new Array(86).fill(40)];
+
+const FRAMING = { enabled: true, headHeight: 0.1, croppedHeadHeight: 0.15, baseline: 0.9, centerX: 0.5 };
+
+// Full-body guest in a square 1000x1000 cutout: head 100px tall, feet at 900px
+const STANDING = { left: 0.4, right: 0.6, top: 0.1, bottom: 0.9, headTop: 0.1, headBottom: 0.2, cropped: false };
+
+describe('computeRowWidths', () => {
+  test('measures from the leftmost to the rightmost opaque pixel', () => {
+    const data = new Uint8ClampedArray(4 * 2 * 5);
+    data[1 * 4 + 3] = 255;
+    data[3 * 4 + 3] = 255;
+
+    expect(computeRowWidths(data, 5, 2)).toEqual([3, 0]);
+  });
+});
+
+describe('findNeckRow', () => {
+  test('finds the narrowest row between head and shoulders', () => {
+    expect(findNeckRow(HEAD_AND_SHOULDERS, 0, HEAD_AND_SHOULDERS.length)).toBe(11);
+  });
+
+  test('gives up on silhouettes without a head shape', () => {
+    const column = new Array(100).fill(20);
+    expect(findNeckRow(column, 0, column.length)).toBeNull();
+  });
+});
+
+describe('computeFramingTransform', () => {
+  const frame = (framing, subjectFrame = STANDING) =>
+    computeFramingTransform(1000, 1000, subjectFrame, 1000, 1000, { ...FRAMING, ...framing });
+
+  test('leaves an already well framed guest alone', () => {
+    const transform = frame({});
+    expect(transform.x).toBeCloseTo(0);
+    expect(transform.y).toBeCloseTo(0);
+    expect(transform.scale).toBeCloseTo(1);
+  });
+
+  test('scales to the head height and keeps the feet on the baseline', () => {
+    const transform = frame({ headHeight: 0.2, centerX: 0.3 });
+
+    expect(transform.scale).toBeCloseTo(2);
+    expect(transform.x).toBeCloseTo(-0.2);
+    // Centre at 100px, feet 0.4 * 1000 * 2 below it
+    expect(transform.y).toBeCloseTo(-0.4);
+  });
+
+  test('anchors guests cut off by the camera to the bottom edge', () => {
+    const transform = frame({}, { ...STANDING, bottom: 1, headBottom: 0.4, cropped: true });
+
+    expect(transform.scale).toBeCloseTo(0.5);
+    expect(transform.y).toBeCloseTo(0.25);
+  });
+
+  test('only moves the guest when no head was found', () => {
+    const transform = frame({ baseline: 0.95 }, { ...STANDING, headBottom: null });
+
+    expect(transform.scale).toBe(1);
+    expect(transform.y).toBeCloseTo(0.05);
+  });
+
+  test('does nothing when disabled or nothing was measured', () => {
+    expect(frame({ enabled: false })).toBe(DEFAULT_SUBJECT_TRANSFORM);
+    expect(computeFramingTransform(1000, 1000, null, 1000, 1000, FRAMING)).toBe(DEFAULT_SUBJECT_TRANSFORM);
+  });
+});
+
+describe('background placement', () => {
+  // Background drawn 1:1 into the canvas
+  const FULL = { x: 0, y: 0, width: 1000, height: 1000 };
+
+  test('maps the placement through the fitted background', () => {
+    // Background cropped to its right half by the fit
+    const placement = mapPlacementToCanvas(
+      { box: { left: 0.6, top: 0.2, right: 0.8, bottom: 0.9 }, horizon: 0.5 },
+      { x: -1000, y: 0, width: 2000, height: 1000 },
+      1000,
+      1000
+    );
+
+    expect(placement.box.left).toBeCloseTo(0.2);
+    expect(placement.box.right).toBeCloseTo(0.6);
+    expect(placement.horizon).toBeCloseTo(0.5);
+    expect(placement.maxScale).toBeNull();
+  });
+
+  test('backgrounds without placement metadata keep plain framing', () => {
+    expect(mapPlacementToCanvas({ box: null, horizon: null, maxScale: null }, FULL, 1000, 1000)).toBeNull();
+  });
+
+  test('stands the guest on the box with their eyes on the horizon', () => {
+    const placement = mapPlacementToCanvas(
+      { box: { left: 0, top: 0, right: 0.5, bottom: 0.9 }, horizon: 0.5 },
+      FULL,
+      1000,
+      1000
+    );
+    const transform = computeFramingTransform(1000, 1000, STANDING, 1000, 1000, FRAMING, placement);
+
+    // Eyes at 0.145 of the cutout, 755px above the feet at scale 1
+    expect(transform.scale).toBeCloseTo(400 / 755);
+    expect(transform.x).toBeCloseTo(-0.25);
+    const feetY = 500 + transform.y * 1000 + 0.4 * 1000 * transform.scale;
+    expect(feetY).toBeCloseTo(900);
+  });
+
+  test('never grows past the box or maxScale', () => {
+    const boxed = computeFramingTransform(1000, 1000, STANDING, 1000, 1000, { ...FRAMING, headHeight: 0.3 }, {
+      box: { left: 0, top: 0.5, right: 1, bottom: 0.9 },
+      horizon: null,
+      maxScale: null
+    });
+    // Guest 800px tall at scale 1, box 400px tall
+    expect(boxed.scale).toBeCloseTo(0.5);
+
+    const capped = computeFramingTransform(1000, 1000, STANDING, 1000, 1000, { ...FRAMING, headHeight: 0.3 }, {
+      box: null,
+      horizon: null,
+      maxScale: 1.2
+    });
+    expect(capped.scale).toBeCloseTo(1.2);
+  });
+
+  test('applies placement even with auto-framing turned off', () => {
+    const transform = computeFramingTransform(1000, 1000, STANDING, 1000, 1000, { ...FRAMING, enabled: false }, {
+      box: { left: 0.5, top: 0, right: 1, bottom: 1 },
+      horizon: null,
+      maxScale: null
+    });
+
+    expect(transform.x).toBeCloseTo(0.25);
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  computeImageStats,
+  computeHarmonizationParams,
+  applyHarmonization
+} from '../lib/compositing/harmonize';
+
+const pixels = (...rgba) => new Uint8ClampedArray(rgba.flat());
+
+describe('computeImageStats', () => {
+  test('ignores transparent pixels when weighting by alpha', () => {
+    const stats = computeImageStats(pixels([200, 150, 100, 255], [0, 0, 0, 0]), true);
+
+    expect(stats.mean).toEqual([200, 150, 100]);
+    expect(stats.lumaStd).toBe(0);
+  });
+
+  test('measures luminance spread', () => {
+    const stats = computeImageStats(pixels([0, 0, 0, 255], [255, 255, 255, 255]));
+
+    expect(stats.luma).toBeCloseTo(127.5);
+    expect(stats.lumaStd).toBeCloseTo(127.5);
+  });
+});
+
+describe('computeHarmonizationParams', () => {
+  const warmSubject = { mean: [200, 150, 100], luma: 159.25, lumaStd: 20 };
+  const coolBackground = { mean: [110, 130, 190], luma: 130.86, lumaStd: 25 };
+
+  test('zero strength leaves the subject unchanged', () => {
+    expect(computeHarmonizationParams(warmSubject, coolBackground, 0)).toEqual({
+      gains: [1, 1, 1],
+      exposure: 1,
+      contrast: 1
+    });
+  });
+
+  test('moves white balance and exposure toward the background, within limits', () => {
+    const params = computeHarmonizationParams(warmSubject, coolBackground, 1);
+
+    expect(params.gains[0]).toBeCloseTo(0.8);
+    expect(params.gains[2]).toBeCloseTo(1.25);
+    expect(params.exposure).toBeLessThan(1);
+    expect(params.contrast).toBeCloseTo(1.25);
+  });
+
+  test('half strength applies half of the change', () => {
+    const full = computeHarmonizationParams(warmSubject, coolBackground, 1);
+    const half = computeHarmonizationParams(warmSubject, coolBackground, 0.5);
+
+    expect(half.exposure - 1).toBeCloseTo((full.exposure - 1) / 2);
+  });
+});
+
+describe('applyHarmonization', () => {
+  test('adjusts colour and keeps alpha', () => {
+    const data = pixels([200, 150, 100, 128]);
+
+    applyHarmonization(data, { gains: [0.5, 1, 1], exposure: 1, contrast: 1 }, 150);
+
+    expect(Array.from(data)).toEqual([100, 150, 100, 128]);
+  });
+
+  test('skips fully transparent pixels', () => {
+    const data = pixels([200, 150, 100, 0]);
+
+    applyHarmonization(data, { gains: [1, 1, 1], exposure: 2, contrast: 1 }, 150);
+
+    expect(Array.from(data)).toEqual([200, 150, 100, 0]);
+  });
+});
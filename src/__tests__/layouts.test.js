@@ -0,0 +1,38 @@
+import { PHOTO_LAYOUTS, computeLayoutCells, getLayoutShotCount } from '../lib/compositing/layouts';
+
+describe('photo layouts', () => {
+  test('strip and grid take four shots', () => {
+    expect(getLayoutShotCount(PHOTO_LAYOUTS.strip)).toBe(4);
+    expect(getLayoutShotCount(PHOTO_LAYOUTS.grid)).toBe(4);
+  });
+
+  test('cells stay inside the margins and above the footer', () => {
+    Object.values(PHOTO_LAYOUTS).forEach((layout) => {
+      const margin = layout.margin * layout.width;
+      const footerTop = layout.height - margin - layout.footer * layout.height;
+
+      computeLayoutCells(layout).forEach((cell) => {
+        expect(cell.x).toBeGreaterThanOrEqual(Math.floor(margin));
+        expect(cell.y).toBeGreaterThanOrEqual(Math.floor(margin));
+        expect(cell.x + cell.width).toBeLessThanOrEqual(Math.ceil(layout.width - margin));
+        expect(cell.y + cell.height).toBeLessThanOrEqual(Math.ceil(footerTop));
+      });
+    });
+  });
+
+  test('grid cells are ordered row by row', () => {
+    const cells = computeLayoutCells(PHOTO_LAYOUTS.grid);
+    expect(cells).toHaveLength(4);
+    expect(cells[0].y).toBe(cells[1].y);
+    expect(cells[1].x).toBeGreaterThan(cells[0].x);
+    expect(cells[2].y).toBeGreaterThan(cells[0].y);
+  });
+
+  test('cells share one size and do not overlap', () => {
+    const cells = computeLayoutCells({ width: 100, height: 200, columns: 1, rows: 2, margin: 0, gap: 0.1, footer: 0 });
+    expect(cells).toEqual([
+      { x: 0, y: 0, width: 100, height: 95 },
+      { x: 0, y: 105, width: 100, height: 95 }
+    ]);
+  });
+});
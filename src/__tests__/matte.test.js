@@ -0,0 +1,81 @@
+import { refineMatte, morphMatte, featherMatte, decontaminateColors } from '../lib/compositing/matte';
+import { resolveCompositingSettings, DEFAULT_COMPOSITING_SETTINGS } from '../lib/compositing/settings';
+
+// 9x9 image: opaque white 3x3 square in the middle, transparent elsewhere
+const createSquare = () => {
+  const width = 9;
+  const height = 9;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 3; y < 6; y++) {
+    for (let x = 3; x < 6; x++) {
+      const i = (y * width + x) * 4;
+      data.set([255, 255, 255, 255], i);
+    }
+  }
+  return { data, width, height };
+};
+
+const alphaOf = ({ data, width, height }) => {
+  const alpha = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) alpha[i] = data[i * 4 + 3] / 255;
+  return alpha;
+};
+
+const countOpaque = (alpha) => alpha.filter((value) => value === 1).length;
+
+describe('matte refinement', () => {
+  test('positive radius grows the mask', () => {
+    const image = createSquare();
+    expect(countOpaque(morphMatte(alphaOf(image), 9, 9, 1))).toBe(25);
+  });
+
+  test('negative radius shrinks the mask', () => {
+    const image = createSquare();
+    expect(countOpaque(morphMatte(alphaOf(image), 9, 9, -1))).toBe(1);
+  });
+
+  test('feathering produces soft edges and keeps total coverage', () => {
+    const alpha = alphaOf(createSquare());
+    const feathered = featherMatte(alpha, 9, 9, 1);
+
+    const total = (values) => values.reduce((sum, value) => sum + value, 0);
+    expect(total(feathered)).toBeCloseTo(total(alpha), 3);
+    expect(feathered[4 * 9 + 2]).toBeGreaterThan(0);
+    expect(feathered[4 * 9 + 2]).toBeLessThan(1);
+  });
+
+  test('decontamination pulls edge colour toward the subject colour', () => {
+    const width = 3;
+    const height = 1;
+    // Opaque red subject pixel next to a half transparent green (spill) pixel
+    const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 0, 0]);
+    const alpha = new Float32Array([1, 128 / 255, 0]);
+
+    decontaminateColors(data, alpha, width, height, 1);
+
+    expect(data[4]).toBeGreaterThan(100);
+    expect(data[5]).toBeLessThan(200);
+    expect(data.slice(0, 4)).toEqual(new Uint8ClampedArray([255, 0, 0, 255]));
+  });
+
+  test('refineMatte with default arguments leaves pixels untouched', () => {
+    const image = createSquare();
+    const original = image.data.slice();
+
+    refineMatte(image);
+
+    expect(image.data).toEqual(original);
+  });
+});
+
+describe('resolveCompositingSettings', () => {
+  test('returns the defaults without a background', () => {
+    expect(resolveCompositingSettings(null)).toEqual(DEFAULT_COMPOSITING_SETTINGS);
+  });
+
+  test('merges background overrides per section', () => {
+    const settings = resolveCompositingSettings({ id: 'bg5', matte: { feather: 5 } });
+
+    expect(settings.matte).toEqual({ ...DEFAULT_COMPOSITING_SETTINGS.matte, feather: 5 });
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  encodeCanvas,
+  getDataURLFormat,
+  isOutputFormatSupported,
+  resolveOutput
+} from '../lib/compositing/output';
+
+// Pretend this browser can encode everything except AVIF (falls back to PNG like real browsers)
+HTMLCanvasElement.prototype.toDataURL = jest.fn((type = 'image/png') =>
+  type === 'image/avif' ? 'data:image/png;base64,x' : `data:${type};base64,x`
+);
+
+global.console.warn = jest.fn();
+
+describe('output formats', () => {
+  test('detects unsupported encoders', () => {
+    expect(isOutputFormatSupported('webp')).toBe(true);
+    expect(isOutputFormatSupported('avif')).toBe(false);
+    expect(isOutputFormatSupported('gif')).toBe(false);
+  });
+
+  test('falls back to jpeg for unsupported formats', () => {
+    expect(resolveOutput({ format: 'avif', quality: 0.9 })).toEqual({ format: 'jpeg', quality: 0.9 });
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('clamps quality', () => {
+    expect(resolveOutput({ format: 'webp', quality: 5 }).quality).toBe(1);
+    expect(resolveOutput({ format: 'webp' }).quality).toBe(0.8);
+  });
+
+  test('encodes lossy formats with quality and PNG without', () => {
+    const canvas = { toDataURL: jest.fn(() => 'data:') };
+
+    encodeCanvas(canvas, { format: 'webp', quality: 0.7 });
+    encodeCanvas(canvas, { format: 'png', quality: 0.7 });
+
+    expect(canvas.toDataURL).toHaveBeenNthCalledWith(1, 'image/webp', 0.7);
+    expect(canvas.toDataURL).toHaveBeenNthCalledWith(2, 'image/png');
+  });
+
+  test('maps data URLs to upload content type and extension', () => {
+    expect(getDataURLFormat('data:image/jpeg;base64,abc')).toEqual(
+      expect.objectContaining({ mimeType: 'image/jpeg', extension: 'jpeg' })
+    );
+    expect(getDataURLFormat('data:image/png;base64,abc').extension).toBe('png');
+    expect(getDataURLFormat('data:image/webp;base64,abc').extension).toBe('webp');
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  SUBJECT_Z,
+  buildCaptionLayers,
+  computeAnchorRect,
+  formatOverlayText,
+  loadOverlayManifest,
+  loadOverlays,
+  prepareOverlays,
+  validateOverlayLayer
+} from '../lib/compositing/overlays';
+import { loadImage } from '../lib/imageUtils';
+
+jest.mock('../lib/imageUtils', () => ({
+  loadImage: jest.fn()
+}));
+
+global.console.warn = jest.fn();
+
+describe('computeAnchorRect', () => {
+  test('fill covers the whole canvas', () => {
+    expect(computeAnchorRect('fill', 10, 10, 1080, 1920)).toEqual({ x: 0, y: 0, width: 1080, height: 1920 });
+  });
+
+  test('bottom-right respects the margin', () => {
+    expect(computeAnchorRect('bottom-right', 200, 100, 1000, 2000, 0.05)).toEqual({
+      x: 750,
+      y: 1850,
+      width: 200,
+      height: 100
+    });
+  });
+
+  test('top centres horizontally', () => {
+    expect(computeAnchorRect('top', 200, 100, 1000, 2000)).toEqual({ x: 400, y: 0, width: 200, height: 100 });
+  });
+});
+
+describe('formatOverlayText', () => {
+  test('replaces known tokens and keeps unknown ones', () => {
+    expect(formatOverlayText('{label} on {date} {missing}', { label: 'Taj Mahal', date: '1/2/2026' })).toBe(
+      'Taj Mahal on 1/2/2026 {missing}'
+    );
+  });
+});
+
+describe('validateOverlayLayer', () => {
+  test('accepts image and text layers', () => {
+    expect(validateOverlayLayer({ type: 'image', src: '/frame.png' })).toBeNull();
+    expect(validateOverlayLayer({ type: 'text', text: '{date}', anchor: 'top-left' })).toBeNull();
+  });
+
+  test('rejects malformed layers', () => {
+    expect(validateOverlayLayer({ type: 'video' })).toMatch(/unknown layer type/);
+    expect(validateOverlayLayer({ type: 'image' })).toMatch(/needs a src/);
+    expect(validateOverlayLayer({ type: 'text', text: 'x', anchor: 'middle' })).toMatch(/unknown anchor/);
+  });
+});
+
+describe('overlay manifests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('skips invalid layers from the manifest', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          layers: [{ type: 'text', text: '{date}' }, { type: 'bogus' }]
+        })
+    });
+
+    const layers = await loadOverlayManifest('/manifest-a.json');
+
+    expect(layers).toEqual([{ type: 'text', text: '{date}' }]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('a missing manifest yields no layers', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    await expect(loadOverlayManifest('/manifest-b.json')).resolves.toEqual([]);
+  });
+
+  test('merges background overlays and drops disabled layers', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ layers: [{ type: 'text', text: 'off', enabled: false }] })
+    });
+    const background = { id: 'bg2', overlays: [{ type: 'text', text: 'Taj' }] };
+
+    await expect(loadOverlays('/manifest-c.json', background)).resolves.toEqual([{ type: 'text', text: 'Taj' }]);
+  });
+});
+
+describe('prepareOverlays', () => {
+  test('formats text and orders layers by z with the default above the subject', async () => {
+    const layers = await prepareOverlays(
+      [
+        { type: 'text', text: 'Hello {name}' },
+        { type: 'text', text: 'behind', z: 50 }
+      ],
+      { name: 'Priya' }
+    );
+
+    expect(layers.map((layer) => layer.text)).toEqual(['behind', 'Hello Priya']);
+    expect(layers[1].z).toBeGreaterThan(SUBJECT_Z);
+  });
+
+  test('skips an image that fails to load instead of failing', async () => {
+    const logo = { width: 200, height: 100 };
+    loadImage.mockImplementation((src) =>
+      src === '/missing.png' ? Promise.reject(new Error('Failed to load image')) : Promise.resolve(logo)
+    );
+
+    const layers = await prepareOverlays([
+      { type: 'image', src: '/missing.png' },
+      { type: 'image', src: '/logo.png', anchor: 'bottom-right' }
+    ]);
+
+    expect(layers).toHaveLength(1);
+    expect(layers[0]).toEqual(expect.objectContaining({ src: '/logo.png', image: logo }));
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('buildCaptionLayers', () => {
+  const defaults = {
+    enabled: true,
+    template: 'Greetings from {label}, {name}!',
+    anonymousTemplate: 'Greetings from {label}!'
+  };
+
+  test('uses the named template when a name was entered', () => {
+    const [layer] = buildCaptionLayers({ id: 'bg', label: 'Charminar' }, 'Priya', defaults);
+
+    expect(layer).toEqual(expect.objectContaining({ type: 'text', text: 'Greetings from {label}, {name}!' }));
+    expect(layer.z).toBeGreaterThan(SUBJECT_Z);
+  });
+
+  test('falls back to the anonymous template without a name', () => {
+    const [layer] = buildCaptionLayers(null, '  ', defaults);
+
+    expect(layer.text).toBe('Greetings from {label}!');
+  });
+
+  test('background templates and style override the defaults', () => {
+    const background = {
+      id: 'bg1',
+      caption: { template: 'Greetings from Mysuru, {name}!', anchor: 'top' }
+    };
+
+    const [layer] = buildCaptionLayers(background, 'Priya', defaults);
+
+    expect(layer.text).toBe('Greetings from Mysuru, {name}!');
+    expect(layer.anchor).toBe('top');
+    expect(layer).not.toHaveProperty('template');
+  });
+
+  test('can be disabled globally or per background', () => {
+    expect(buildCaptionLayers(null, 'Priya', { ...defaults, enabled: false })).toEqual([]);
+    expect(buildCaptionLayers({ id: 'bg', caption: false }, 'Priya', defaults)).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { readExifOrientation, drawOriented, importPhotoFile } from '../lib/photoImport';
+
+// Minimal JPEG: SOI, an APP1 Exif segment with one IFD0 entry, then SOS
+const jpegWithOrientation = (orientation, { littleEndian = false } = {}) => {
+  const buffer = new ArrayBuffer(40);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0xffd8);
+  view.setUint16(2, 0xffe1);
+  view.setUint16(4, 32); // segment length
+  view.setUint32(6, 0x45786966); // "Exif"
+  view.setUint16(10, 0);
+  const tiff = 12;
+  view.setUint16(tiff, littleEndian ? 0x4949 : 0x4d4d);
+  view.setUint16(tiff + 2, 42, littleEndian);
+  view.setUint32(tiff + 4, 8, littleEndian);
+  view.setUint16(tiff + 8, 1, littleEndian); // one entry
+  view.setUint16(tiff + 10, 0x0112, littleEndian);
+  view.setUint16(tiff + 12, 3, littleEndian); // SHORT
+  view.setUint32(tiff + 14, 1, littleEndian);
+  view.setUint16(tiff + 18, orientation, littleEndian);
+  view.setUint16(36, 0xffda);
+  return buffer;
+};
+
+describe('readExifOrientation', () => {
+  test('reads big-endian orientation', () => {
+    expect(readExifOrientation(jpegWithOrientation(6))).toBe(6);
+  });
+
+  test('reads little-endian orientation', () => {
+    expect(readExifOrientation(jpegWithOrientation(8, { littleEndian: true }))).toBe(8);
+  });
+
+  test('defaults to upright for non-JPEG data and invalid values', () => {
+    expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toBe(1);
+    expect(readExifOrientation(jpegWithOrientation(42))).toBe(1);
+  });
+
+  test('stops at truncated data', () => {
+    expect(readExifOrientation(jpegWithOrientation(6).slice(0, 24))).toBe(1);
+  });
+});
+
+describe('drawOriented', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = { fillRect: jest.fn(), setTransform: jest.fn(), drawImage: jest.fn() };
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('swaps the sides of sideways photos', () => {
+    const image = { width: 4000, height: 3000 };
+    const canvas = drawOriented(image, 6, 2000);
+
+    expect(canvas.width).toBe(1500);
+    expect(canvas.height).toBe(2000);
+    expect(ctx.setTransform).toHaveBeenCalledWith(0, 1, -1, 0, 1500, 0);
+    expect(ctx.drawImage).toHaveBeenCalledWith(image, 0, 0, 2000, 1500);
+  });
+
+  test('never scales small photos up', () => {
+    const canvas = drawOriented({ width: 640, height: 480 }, 1, 1920);
+
+    expect(canvas.width).toBe(640);
+    expect(canvas.height).toBe(480);
+    expect(ctx.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, 0, 0);
+  });
+});
+
+describe('importPhotoFile', () => {
+  test('rejects files that are not images', async () => {
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    await expect(importPhotoFile(file)).rejects.toThrow('Please choose an image file');
+  });
+});
@@ -0,0 +1,47 @@
+import { getPresetSize, OUTPUT_PRESETS } from '../lib/compositing/presets';
+import { resolveOutputSize } from '../lib/compositing/compositor';
+
+global.console.warn = jest.fn();
+
+describe('output presets', () => {
+  test('print presets are 300 DPI', () => {
+    expect(getPresetSize('print-4x6')).toEqual({ width: 4 * 300, height: 6 * 300 });
+    expect(getPresetSize('print-5x7-landscape')).toEqual({ width: 7 * 300, height: 5 * 300 });
+  });
+
+  test('social presets have their platform sizes', () => {
+    expect(getPresetSize('instagram-square')).toEqual({ width: 1080, height: 1080 });
+    expect(getPresetSize('instagram-portrait')).toEqual({ width: 1080, height: 1350 });
+    expect(getPresetSize('story')).toEqual({ width: 1080, height: 1920 });
+  });
+
+  test('every preset except auto has a size and a label', () => {
+    Object.entries(OUTPUT_PRESETS).forEach(([name, preset]) => {
+      expect(preset.label).toBeTruthy();
+      if (name !== 'auto') {
+        expect(preset.width).toBeGreaterThan(0);
+        expect(preset.height).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  test('auto and unknown presets return null', () => {
+    expect(getPresetSize('auto')).toBeNull();
+    expect(getPresetSize(undefined)).toBeNull();
+    expect(getPresetSize('billboard')).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('resolveOutputSize', () => {
+  const background = { width: 1000, height: 2000 };
+
+  test('uses exact preset pixels regardless of the background', () => {
+    expect(resolveOutputSize(background, 'instagram-square')).toEqual({ width: 1080, height: 1080 });
+  });
+
+  test('sizes from the background for auto', () => {
+    const size = resolveOutputSize(background, 'auto');
+    expect(size.width / size.height).toBeCloseTo(0.5, 2);
+  });
+});
@@ -0,0 +1,76 @@
+import { computeShadowMatrix, drawSubjectShadow } from '../lib/compositing/shadow';
+import { computeAlphaBounds } from '../lib/compositing/alphaBounds';
+
+// Applies an [a, b, c, d, e, f] canvas matrix to a point
+const project = ([a, b, c, d, e, f], x, y) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+
+describe('computeShadowMatrix', () => {
+  test('keeps the feet line in place', () => {
+    const matrix = computeShadowMatrix(100, 150, 0.35);
+    const point = project(matrix, 20, 100);
+
+    expect(point.x).toBeCloseTo(20);
+    expect(point.y).toBeCloseTo(100);
+  });
+
+  test('lays the head along the shadow direction, shortened by length', () => {
+    // Subject 200 tall, feet at y = 100, shadow falling straight right
+    const point = project(computeShadowMatrix(100, 0, 0.5), 0, -100);
+
+    expect(point.x).toBeCloseTo(100);
+    expect(point.y).toBeCloseTo(100);
+  });
+
+  test('a shadow falling away from the camera rises on screen', () => {
+    const point = project(computeShadowMatrix(100, 90, 0.5), 0, -100);
+
+    expect(point.x).toBeCloseTo(0);
+    expect(point.y).toBeCloseTo(0);
+  });
+});
+
+describe('drawSubjectShadow', () => {
+  test('draws the silhouette with the configured opacity', () => {
+    const ctx = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      translate: jest.fn(),
+      rotate: jest.fn(),
+      scale: jest.fn(),
+      transform: jest.fn(),
+      drawImage: jest.fn(),
+      globalAlpha: 1
+    };
+    const shadow = { width: 1000, height: 2000 };
+
+    drawSubjectShadow(
+      ctx,
+      shadow,
+      1080,
+      1920,
+      { x: 0, y: 0, scale: 1, rotation: 0 },
+      { left: 0.2, top: 0.1, right: 0.8, bottom: 0.9 },
+      { direction: 0, length: 0.5, opacity: 0.4 }
+    );
+
+    expect(ctx.globalAlpha).toBe(0.4);
+    expect(ctx.transform).toHaveBeenCalledWith(...computeShadowMatrix(-960 + 0.9 * 1920, 0, 0.5));
+    expect(ctx.drawImage).toHaveBeenCalledWith(shadow, -480, -960, 960, 1920);
+  });
+});
+
+describe('computeAlphaBounds', () => {
+  test('finds the box around opaque pixels', () => {
+    const width = 4;
+    const height = 3;
+    const data = new Uint8ClampedArray(width * height * 4);
+    data[(1 * width + 1) * 4 + 3] = 255;
+    data[(2 * width + 2) * 4 + 3] = 255;
+
+    expect(computeAlphaBounds(data, width, height)).toEqual({ left: 1, top: 1, right: 3, bottom: 3 });
+  });
+
+  test('returns null for an empty cutout', () => {
+    expect(computeAlphaBounds(new Uint8ClampedArray(16), 2, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+import { isStaffUser, getSignedInUser, signInStaff } from '../lib/staffAuth';
+import { supabase } from '../lib/supabaseClient';
+
+jest.mock('../lib/supabaseClient', () => ({
+  supabase: {
+    auth: {
+      getSession: jest.fn(),
+      signInWithPassword: jest.fn(),
+      signOut: jest.fn(() => Promise.resolve({ error: null }))
+    }
+  }
+}));
+
+describe('staff auth', () => {
+  test('only users with the role in app_metadata are staff', () => {
+    expect(isStaffUser({ app_metadata: { role: 'staff' } }, 'staff')).toBe(true);
+    expect(isStaffUser({ app_metadata: {}, user_metadata: { role: 'staff' } }, 'staff')).toBe(false);
+    expect(isStaffUser(null, 'staff')).toBe(false);
+    expect(isStaffUser({ app_metadata: { role: 'staff' } }, '')).toBe(false);
+  });
+
+  test('getSignedInUser returns the session user or null', async () => {
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session: { user: { id: 'u1' } } }, error: null });
+    await expect(getSignedInUser()).resolves.toEqual({ id: 'u1' });
+
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session: null }, error: null });
+    await expect(getSignedInUser()).resolves.toBeNull();
+  });
+
+  test('signInStaff surfaces auth errors', async () => {
+    supabase.auth.signInWithPassword.mockResolvedValueOnce({ data: {}, error: { message: 'Invalid login credentials' } });
+    await expect(signInStaff('a@b.c', 'wrong')).rejects.toThrow('Invalid login credentials');
+  });
+});
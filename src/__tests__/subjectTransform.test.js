@@ -0,0 +1,101 @@
+import {
+  DEFAULT_SUBJECT_TRANSFORM,
+  MAX_SUBJECT_SCALE,
+  computeGestureTransform,
+  normalizeSubjectTransform,
+  computeSubjectRect
+} from '../lib/compositing/subjectTransform';
+import { drawSubject } from '../lib/compositing/compositor';
+
+const size = { width: 500, height: 1000 };
+
+describe('computeGestureTransform', () => {
+  test('one pointer drag moves the subject by a fraction of the canvas', () => {
+    const result = computeGestureTransform(
+      DEFAULT_SUBJECT_TRANSFORM,
+      [{ x: 100, y: 100 }],
+      [{ x: 150, y: 300 }],
+      size
+    );
+
+    expect(result).toEqual({ x: 0.1, y: 0.2, scale: 1, rotation: 0 });
+  });
+
+  test('two pointers spreading apart scale the subject', () => {
+    const result = computeGestureTransform(
+      DEFAULT_SUBJECT_TRANSFORM,
+      [{ x: 200, y: 500 }, { x: 300, y: 500 }],
+      [{ x: 150, y: 500 }, { x: 350, y: 500 }],
+      size
+    );
+
+    expect(result.scale).toBeCloseTo(2);
+    expect(result.x).toBeCloseTo(0);
+    expect(result.rotation).toBeCloseTo(0);
+  });
+
+  test('two pointers twisting rotate the subject', () => {
+    const result = computeGestureTransform(
+      DEFAULT_SUBJECT_TRANSFORM,
+      [{ x: 200, y: 500 }, { x: 300, y: 500 }],
+      [{ x: 250, y: 450 }, { x: 250, y: 550 }],
+      size
+    );
+
+    expect(result.rotation).toBeCloseTo(90);
+    expect(result.scale).toBeCloseTo(1);
+  });
+});
+
+describe('normalizeSubjectTransform', () => {
+  test('clamps scale and offsets and wraps rotation', () => {
+    expect(normalizeSubjectTransform({ x: 3, y: -3, scale: 50, rotation: 270 })).toEqual({
+      x: 1,
+      y: -1,
+      scale: MAX_SUBJECT_SCALE,
+      rotation: -90
+    });
+  });
+
+  test('wraps large negative rotations from accumulated pinches', () => {
+    const wrap = (rotation) => normalizeSubjectTransform({ x: 0, y: 0, scale: 1, rotation }).rotation;
+    expect(wrap(-560)).toBe(160);
+    expect(wrap(-1000)).toBe(80);
+    expect(wrap(190)).toBe(-170);
+  });
+});
+
+describe('subject drawing', () => {
+  test('computeSubjectRect fits a portrait cutout to the canvas height', () => {
+    expect(computeSubjectRect(1000, 2000, 1080, 1080)).toEqual({ x: 270, y: 0, width: 540, height: 1080 });
+  });
+
+  test('computeSubjectRect fits a landscape cutout to the canvas width', () => {
+    expect(computeSubjectRect(1920, 1080, 1080, 1920)).toEqual({
+      x: 0,
+      y: (1920 - 607.5) / 2,
+      width: 1080,
+      height: 607.5
+    });
+  });
+
+  test('drawSubject applies the transform around the subject centre', () => {
+    const ctx = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      translate: jest.fn(),
+      rotate: jest.fn(),
+      scale: jest.fn(),
+      drawImage: jest.fn()
+    };
+    const subject = { width: 1000, height: 2000 };
+
+    drawSubject(ctx, subject, 1080, 1920, { x: 0.1, y: -0.1, scale: 1.5, rotation: 180 });
+
+    expect(ctx.translate).toHaveBeenCalledWith(540 + 108, 960 - 192);
+    expect(ctx.rotate).toHaveBeenCalledWith(Math.PI);
+    expect(ctx.scale).toHaveBeenCalledWith(1.5, 1.5);
+    expect(ctx.drawImage).toHaveBeenCalledWith(subject, -480, -960, 960, 1920);
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+import { renderHook, act } from '@testing-library/react';
+import { useCountdown } from '../hooks/useCountdown';
+
+describe('useCountdown', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts down once per second and resolves at zero', async () => {
+    const { result } = renderHook(() => useCountdown());
+    const done = jest.fn();
+
+    act(() => {
+      result.current.start(3).then(done);
+    });
+    expect(result.current.count).toBe(3);
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(result.current.count).toBe(2);
+
+    await act(async () => {
+      jest.advanceTimersByTime(2000);
+    });
+    expect(result.current.count).toBeNull();
+    expect(done).toHaveBeenCalled();
+  });
+
+  test('calls onTick for every number shown', async () => {
+    const onTick = jest.fn();
+    const { result } = renderHook(() => useCountdown({ onTick }));
+
+    act(() => {
+      result.current.start(3);
+    });
+    await act(async () => {
+      jest.advanceTimersByTime(3000);
+    });
+
+    expect(onTick.mock.calls.map(([value]) => value)).toEqual([3, 2, 1]);
+  });
+
+  test('resolves immediately for zero seconds', async () => {
+    const { result } = renderHook(() => useCountdown());
+    await expect(result.current.start(0)).resolves.toBeUndefined();
+    expect(result.current.count).toBeNull();
+  });
+
+  test('resolves immediately for a non-numeric duration', async () => {
+    const { result } = renderHook(() => useCountdown());
+    await expect(result.current.start(Number('3s'))).resolves.toBeUndefined();
+    expect(result.current.count).toBeNull();
+  });
+});
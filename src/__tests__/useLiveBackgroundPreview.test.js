@@ -0,0 +1,81 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { useLiveBackgroundPreview } from '../hooks/useLiveBackgroundPreview';
+
+const mockSegment = jest.fn();
+const mockLoad = jest.fn();
+
+jest.mock('../lib/segmentation/onnxSegmenter', () => ({
+  createOnnxSegmenter: () => ({ load: mockLoad, segment: mockSegment })
+}));
+
+jest.mock('../lib/segmentation/applyMask', () => ({
+  applyMask: jest.fn(() => 'cutout-canvas')
+}));
+
+jest.mock('../lib/imageUtils', () => ({
+  loadImage: jest.fn(() => Promise.resolve({ width: 1920, height: 1080 }))
+}));
+
+global.console.warn = jest.fn();
+
+describe('useLiveBackgroundPreview', () => {
+  let ctx;
+  let webcamRef;
+  let canvasRef;
+  const segmenterOptions = { modelUrl: '/models/test.onnx', inputSize: 256 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLoad.mockResolvedValue({});
+    mockSegment.mockResolvedValue({ data: new Float32Array(4), width: 2, height: 2 });
+    ctx = { drawImage: jest.fn() };
+    webcamRef = { current: { video: { readyState: 4, videoWidth: 1280, videoHeight: 720 } } };
+    canvasRef = { current: { width: 0, height: 0, getContext: () => ctx } };
+  });
+
+  test('stays idle when disabled', () => {
+    const { result } = renderHook(() =>
+      useLiveBackgroundPreview({ webcamRef, canvasRef, backgroundSrc: '/bg1.jpg', enabled: false, segmenterOptions })
+    );
+
+    expect(result.current.status).toBe('idle');
+    expect(mockLoad).not.toHaveBeenCalled();
+  });
+
+  test('stays idle without a background', () => {
+    const { result } = renderHook(() =>
+      useLiveBackgroundPreview({ webcamRef, canvasRef, backgroundSrc: undefined, segmenterOptions })
+    );
+
+    expect(result.current.isActive).toBe(false);
+  });
+
+  test('draws background then cutout once running', async () => {
+    const { result } = renderHook(() =>
+      useLiveBackgroundPreview({ webcamRef, canvasRef, backgroundSrc: '/bg1.jpg', segmenterOptions })
+    );
+
+    await waitFor(() => {
+      expect(result.current.isActive).toBe(true);
+    });
+    await waitFor(() => {
+      expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+    });
+
+    expect(canvasRef.current.width).toBe(1280);
+    expect(canvasRef.current.height).toBe(720);
+    expect(ctx.drawImage.mock.calls[1][0]).toBe('cutout-canvas');
+  });
+
+  test('reports an error when the model cannot load', async () => {
+    mockLoad.mockRejectedValue(new Error('404'));
+
+    const { result } = renderHook(() =>
+      useLiveBackgroundPreview({ webcamRef, canvasRef, backgroundSrc: '/bg1.jpg', segmenterOptions })
+    );
+
+    await waitFor(() => {
+      expect(result.current.status).toBe('error');
+    });
+  });
+});
@@ -0,0 +1,462 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ADMIN_CONFIG, CATALOG_CONFIG } from '../config/appConfig';
+import { fetchCatalogManifest, resolveCatalogAssets, validateCatalog } from '../lib/backgroundCatalog';
+import {
+  buildCatalog,
+  labelFromFileName,
+  moveEntry,
+  publishCatalog,
+  removeUnusedAssets,
+  slugify,
+  uniqueId,
+  uploadBackgroundImage
+} from '../lib/catalogAdmin';
+import { getPublicUrl } from '../lib/imageStorage';
+import { getSignedInUser, isStaffUser, signInStaff, signOutStaff } from '../lib/staffAuth';
+
+const BOX_SIDES = ['left', 'top', 'right', 'bottom'];
+const DEFAULT_BOX = { left: 0.1, top: 0.3, right: 0.9, bottom: 0.95 };
+
+// Staff screen for adding, ordering, editing and publishing backgrounds. The
+// sign-in only gates the screen; the storage policies protect the catalog.
+function AdminBackgroundsPage() {
+  const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+  const publishedUrl = getPublicUrl(ADMIN_CONFIG.catalogPath);
+  // 'checking', 'signed-out' or 'signed-in'
+  const [authStatus, setAuthStatus] = useState('checking');
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [authError, setAuthError] = useState(null);
+  const [loadState, setLoadState] = useState({ status: 'loading', sourceUrl: null, error: null });
+  const [backgrounds, setBackgrounds] = useState([]);
+  // What kiosks currently load, for deleting files of removed backgrounds
+  const [published, setPublished] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const problems = useMemo(() => validateCatalog(buildCatalog(backgrounds)), [backgrounds]);
+  const unlocked = authStatus === 'signed-in';
+
+  useEffect(() => {
+    let cancelled = false;
+    getSignedInUser()
+      .then((user) => {
+        if (!cancelled) setAuthStatus(isStaffUser(user, ADMIN_CONFIG.staffRole) ? 'signed-in' : 'signed-out');
+      })
+      .catch((error) => {
+        console.warn('Could not read the staff session:', error);
+        if (!cancelled) setAuthStatus('signed-out');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!unlocked) return undefined;
+    let cancelled = false;
+
+    // Start from the published catalog, or the bundled one before the first publish
+    const load = async () => {
+      try {
+        const manifest = await fetchCatalogManifest(publishedUrl, { cache: 'no-store' });
+        return { manifest, sourceUrl: publishedUrl, isPublished: true };
+      } catch (error) {
+        console.warn('No published catalog, starting from the bundled one:', error);
+        const sourceUrl = new URL(CATALOG_CONFIG.manifestUrl, window.location.href).href;
+        const manifest = await fetchCatalogManifest(sourceUrl, { cache: 'no-store' });
+        return { manifest, sourceUrl, isPublished: false };
+      }
+    };
+
+    load()
+      .then(({ manifest, sourceUrl, isPublished }) => {
+        if (cancelled) return;
+        setBackgrounds(manifest.backgrounds);
+        setPublished(isPublished ? manifest.backgrounds : []);
+        setLoadState({ status: 'ready', sourceUrl, error: null });
+      })
+      .catch((error) => {
+        console.error('Error loading background catalog:', error);
+        if (!cancelled) setLoadState({ status: 'error', sourceUrl: null, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [unlocked, publishedUrl]);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setAuthError(null);
+    try {
+      const user = await signInStaff(credentials.email, credentials.password);
+      if (isStaffUser(user, ADMIN_CONFIG.staffRole)) {
+        setAuthStatus('signed-in');
+      } else {
+        await signOutStaff();
+        setAuthError('This account is not allowed to manage backgrounds.');
+      }
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setAuthError(error.message);
+    } finally {
+      setCredentials((current) => ({ ...current, password: '' }));
+      setBusy(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOutStaff();
+    } catch (error) {
+      console.warn('Error signing out:', error);
+    }
+    setAuthStatus('signed-out');
+    setBackgrounds([]);
+    setMessage(null);
+  };
+
+  const updateEntry = (id, update) => {
+    setBackgrounds((current) => current.map((entry) => (entry.id === id ? update(entry) : entry)));
+    setMessage(null);
+  };
+
+  const setField = (id, field, value) => {
+    updateEntry(id, (entry) => {
+      const next = { ...entry };
+      if (value === '' || value === undefined) {
+        delete next[field];
+      } else {
+        next[field] = value;
+      }
+      return next;
+    });
+  };
+
+  const setPlacement = (id, key, rawValue) => {
+    updateEntry(id, (entry) => {
+      const placement = { ...entry.placement };
+      const value = rawValue === '' ? null : Number(rawValue);
+      if (BOX_SIDES.includes(key)) {
+        placement.box = { ...(placement.box || DEFAULT_BOX), [key]: value ?? DEFAULT_BOX[key] };
+      } else if (value === null) {
+        delete placement[key];
+      } else {
+        placement[key] = value;
+      }
+      return { ...entry, placement };
+    });
+  };
+
+  const togglePlacementBox = (id, enabled) => {
+    updateEntry(id, (entry) => {
+      const placement = { ...entry.placement };
+      if (enabled) {
+        placement.box = { ...DEFAULT_BOX };
+      } else {
+        delete placement.box;
+      }
+      return { ...entry, placement };
+    });
+  };
+
+  const handleMove = (index, offset) => {
+    setBackgrounds((current) => moveEntry(current, index, offset));
+    setMessage(null);
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Remove "${entry.label}" from the catalog?`)) return;
+    setBackgrounds((current) => current.filter((item) => item.id !== entry.id));
+    setMessage(null);
+  };
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setBusy(true);
+    setMessage({ type: 'info', text: `Uploading ${files.length} image${files.length > 1 ? 's' : ''}…` });
+    const taken = new Set(backgrounds.map((entry) => entry.id));
+    const added = [];
+    const failed = [];
+    for (const file of files) {
+      const label = labelFromFileName(file.name);
+      const id = uniqueId(slugify(label), taken);
+      try {
+        const assets = await uploadBackgroundImage(file, {
+          folder: ADMIN_CONFIG.assetFolder,
+          id,
+          thumbnail: ADMIN_CONFIG.thumbnail
+        });
+        taken.add(id);
+        added.push({ id, label, ...assets, enabled: true });
+      } catch (error) {
+        console.error(`Error uploading ${file.name}:`, error);
+        failed.push(`${file.name} (${error.message})`);
+      }
+    }
+
+    setBackgrounds((current) => [...current, ...added]);
+    setBusy(false);
+    setMessage(
+      failed.length > 0
+        ? { type: 'error', text: `Could not upload ${failed.join(', ')}` }
+        : { type: 'info', text: `Added ${added.length} background${added.length > 1 ? 's' : ''}. Publish to show them on the kiosks.` }
+    );
+  };
+
+  const handlePublish = async () => {
+    setBusy(true);
+    setMessage({ type: 'info', text: 'Publishing…' });
+    try {
+      const url = await publishCatalog(backgrounds, ADMIN_CONFIG.catalogPath);
+      await removeUnusedAssets(published, backgrounds);
+      setPublished(backgrounds);
+      setMessage({ type: 'info', text: `Published ${backgrounds.length} backgrounds to ${url}` });
+    } catch (error) {
+      console.error('Error publishing background catalog:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!unlocked) {
+    return (
+      <div className="admin-page">
+        <div className="header-area">
+          <h1>Manage Backgrounds</h1>
+        </div>
+        {authStatus === 'checking' ? (
+          <p className="catalog-status">Checking sign-in…</p>
+        ) : (
+          <form className="admin-sign-in-form" onSubmit={handleSignIn}>
+            <input
+              type="email"
+              autoComplete="username"
+              placeholder="Staff email"
+              aria-label="Staff email"
+              value={credentials.email}
+              onChange={(e) => setCredentials((current) => ({ ...current, email: e.target.value }))}
+            />
+            <input
+              type="password"
+              autoComplete="current-password"
+              placeholder="Password"
+              aria-label="Password"
+              value={credentials.password}
+              onChange={(e) => setCredentials((current) => ({ ...current, password: e.target.value }))}
+            />
+            <button type="submit" className="continue-button" disabled={busy || !credentials.email || !credentials.password}>
+              Sign In
+            </button>
+            {authError && <p className="admin-error">{authError}</p>}
+          </form>
+        )}
+        <div className="action-buttons">
+          <button className="back-button" onClick={() => navigate('/')}>
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-page">
+      <div className="header-area">
+        <h1>Manage Backgrounds</h1>
+        <p style={{ fontSize: '1.2rem', marginTop: '10px', opacity: '0.9' }}>
+          Published changes reach the kiosks within about two minutes
+        </p>
+      </div>
+
+      {loadState.status === 'loading' && <p className="catalog-status">Loading backgrounds…</p>}
+      {loadState.status === 'error' && (
+        <p className="admin-error" data-testid="admin-load-error">
+          Could not load the catalog: {loadState.error}
+        </p>
+      )}
+      {loadState.status === 'ready' && CATALOG_CONFIG.manifestUrl !== publishedUrl && (
+        <p className="admin-warning">
+          Kiosks load {CATALOG_CONFIG.manifestUrl}. Set VITE_BACKGROUND_CATALOG_URL to {publishedUrl} so
+          they pick up what you publish here.
+        </p>
+      )}
+
+      {loadState.status === 'ready' && (
+        <ul className="admin-background-list">
+          {backgrounds.map((entry, index) => {
+            const { thumbnail, src } = resolveCatalogAssets(entry, loadState.sourceUrl);
+            const box = entry.placement?.box;
+            const expanded = selectedId === entry.id;
+            return (
+              <li key={entry.id} className={`admin-background${entry.enabled === false ? ' disabled' : ''}`}>
+                <div className="admin-background-preview">
+                  <img src={thumbnail || src} alt={entry.label} />
+                  {box && (
+                    <div
+                      className="admin-placement-box"
+                      style={{
+                        left: `${box.left * 100}%`,
+                        top: `${box.top * 100}%`,
+                        width: `${(box.right - box.left) * 100}%`,
+                        height: `${(box.bottom - box.top) * 100}%`
+                      }}
+                    />
+                  )}
+                  {typeof entry.placement?.horizon === 'number' && (
+                    <div className="admin-horizon" style={{ top: `${entry.placement.horizon * 100}%` }} />
+                  )}
+                </div>
+
+                <div className="admin-background-fields">
+                  <label>
+                    Label
+                    <input value={entry.label} onChange={(e) => updateEntry(entry.id, (item) => ({ ...item, label: e.target.value }))} />
+                  </label>
+                  <label>
+                    Category
+                    <input value={entry.category || ''} onChange={(e) => setField(entry.id, 'category', e.target.value)} />
+                  </label>
+                  <label>
+                    Tags
+                    <input
+                      value={(entry.tags || []).join(', ')}
+                      placeholder="comma separated"
+                      onChange={(e) => {
+                        const tags = e.target.value.split(',').map((tag) => tag.trim()).filter(Boolean);
+                        setField(entry.id, 'tags', tags.length > 0 ? tags : undefined);
+                      }}
+                    />
+                  </label>
+                  <label className="admin-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={entry.enabled !== false}
+                      onChange={(e) => updateEntry(entry.id, (item) => ({ ...item, enabled: e.target.checked }))}
+                    />
+                    Shown to guests
+                  </label>
+
+                  {expanded && (
+                    <div className="admin-placement">
+                      <label className="admin-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(box)}
+                          onChange={(e) => togglePlacementBox(entry.id, e.target.checked)}
+                        />
+                        Placement box
+                      </label>
+                      {box &&
+                        BOX_SIDES.map((side) => (
+                          <label key={side}>
+                            {side}
+                            <input
+                              type="number"
+                              min="0"
+                              max="1"
+                              step="0.01"
+                              value={box[side]}
+                              onChange={(e) => setPlacement(entry.id, side, e.target.value)}
+                            />
+                          </label>
+                        ))}
+                      <label>
+                        Horizon
+                        <input
+                          type="number"
+                          min="0"
+                          max="1"
+                          step="0.01"
+                          value={entry.placement?.horizon ?? ''}
+                          onChange={(e) => setPlacement(entry.id, 'horizon', e.target.value)}
+                        />
+                      </label>
+                      <label>
+                        Max scale
+                        <input
+                          type="number"
+                          min="0.1"
+                          step="0.1"
+                          value={entry.placement?.maxScale ?? ''}
+                          onChange={(e) => setPlacement(entry.id, 'maxScale', e.target.value)}
+                        />
+                      </label>
+                    </div>
+                  )}
+                </div>
+
+                <div className="admin-background-actions">
+                  <button onClick={() => handleMove(index, -1)} disabled={index === 0} aria-label={`Move ${entry.label} up`}>
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === backgrounds.length - 1}
+                    aria-label={`Move ${entry.label} down`}
+                  >
+                    ↓
+                  </button>
+                  <button onClick={() => setSelectedId(expanded ? null : entry.id)}>
+                    {expanded ? 'Done' : 'Placement'}
+                  </button>
+                  <button className="admin-delete" onClick={() => handleDelete(entry)}>
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {problems.length > 0 && loadState.status === 'ready' && (
+        <p className="admin-error" data-testid="admin-problems">
+          Fix before publishing: {problems.join('; ')}
+        </p>
+      )}
+      {message && <p className={message.type === 'error' ? 'admin-error' : 'admin-status'}>{message.text}</p>}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        onChange={handleFiles}
+        style={{ display: 'none' }}
+        data-testid="admin-file-input"
+      />
+
+      <div className="action-buttons">
+        <button className="back-button" onClick={handleSignOut} disabled={busy}>
+          Sign Out
+        </button>
+        <button
+          className="back-button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy || loadState.status !== 'ready'}
+        >
+          Add Backgrounds
+        </button>
+        <button
+          className="continue-button"
+          onClick={handlePublish}
+          disabled={busy || loadState.status !== 'ready' || problems.length > 0}
+        >
+          Publish
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AdminBackgroundsPage;
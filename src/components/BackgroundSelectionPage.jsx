@@ -1,22 +1,129 @@
-import React, { useState } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch } from 'react-redux';
-import { setSelectedBackground } from '../features/appSlice';
+import { resetRetakeCount, setSelectedBackground } from '../features/appSlice';
+import { CATALOG_CONFIG } from '../config/appConfig';
+import { useBackgroundCatalog } from '../hooks/useBackgroundCatalog';
+import { useEventConfig } from '../hooks/useEventConfig';
+import { filterBackgrounds, listCategories, paginate } from '../lib/backgroundCatalog';
+import { filterBackgroundsForProfile } from '../lib/eventProfiles';
+import {
+  CUSTOM_BACKGROUND_PRESETS,
+  createCustomBackground,
+  createUploadedBackground,
+  renderCustomBackground
+} from '../lib/customBackgrounds';
 
-const BACKGROUND_OPTIONS = [
-  { id: 'bg', src: '/bg.jpg', label: 'Charminar' },
-  { id: 'bg1', src: '/bg1.jpg', label: 'Mysuru Palace' },
-  { id: 'bg2', src: '/bg2.jpg', label: 'Taj Mahal' },
-  { id: 'bg3', src: '/bg3.jpg', label: 'Vidhana Saudha' },
-  { id: 'bg4', src: '/bg4.jpg', label: 'Victoria Memorial' },
-  { id: 'bg5', src: '/bg5.jpg', label: 'Worli Sea Link' }
-];
+// Horizontal finger travel (px) that turns the page
+const SWIPE_DISTANCE = 50;
+
+const PREVIEW_SIZE = { width: 90, height: 160 };
+
+// Selection standing in for a picked colour until its background is drawn
+const PICKED_COLOR_ID = 'custom-solid-picked';
+
+// Draws a picked colour's full-size background; other selections pass through
+const resolveSelection = (background) =>
+  background?.pickedColor
+    ? createCustomBackground({ id: 'solid-picked', type: 'solid', label: 'Your Colour', colors: [background.pickedColor] })
+    : background;
 
 function BackgroundSelectionPage() {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const [selectedBackground, setSelectedBackgroundLocal] = useState(null);
   const [error, setError] = useState(null);
+  const catalog = useBackgroundCatalog(CATALOG_CONFIG.manifestUrl);
+  const { profile, nameStep, customBackgrounds } = useEventConfig();
+  const [category, setCategory] = useState(null);
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(0);
+  const touchStartX = useRef(null);
+  const [customOpen, setCustomOpen] = useState(false);
+  const [customColor, setCustomColor] = useState('#ff9933');
+  const [uploadedBackground, setUploadedBackground] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Only the backgrounds the active event allows
+  const eventBackgrounds = useMemo(
+    () => filterBackgroundsForProfile(catalog.backgrounds, profile),
+    [catalog.backgrounds, profile]
+  );
+  const categories = useMemo(() => listCategories(eventBackgrounds), [eventBackgrounds]);
+  const matches = useMemo(
+    () => filterBackgrounds(eventBackgrounds, { category, query }),
+    [eventBackgrounds, category, query]
+  );
+  const visible = paginate(matches, page, CATALOG_CONFIG.pageSize);
+
+  // Preset previews are only drawn once the Custom tab is opened
+  const customPreviews = useMemo(
+    () =>
+      customOpen
+        ? Object.fromEntries(
+            CUSTOM_BACKGROUND_PRESETS.map((preset) => [
+              preset.id,
+              renderCustomBackground(preset, PREVIEW_SIZE).toDataURL()
+            ])
+          )
+        : {},
+    [customOpen]
+  );
+
+  const handleCategoryChange = (value) => {
+    setCategory(value);
+    setCustomOpen(false);
+    setPage(0);
+  };
+
+  // The picker fires on every step of a drag, so only the colour is kept while
+  // picking; the full-size background is drawn once, on blur or Continue
+  const handleCustomColor = (color) => {
+    setCustomColor(color);
+    setSelectedBackgroundLocal({ id: PICKED_COLOR_ID, label: 'Your Colour', pickedColor: color });
+  };
+
+  const handleCustomColorDone = () => {
+    setSelectedBackgroundLocal(resolveSelection);
+  };
+
+  const handleUploadBackground = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const background = await createUploadedBackground(file, { maxSize: customBackgrounds.maxSize });
+      setUploadedBackground(background);
+      setSelectedBackgroundLocal(background);
+    } catch (error) {
+      console.error('Error preparing uploaded background:', error);
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setPage(0);
+  };
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const distance = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (Math.abs(distance) >= SWIPE_DISTANCE) {
+      setPage(visible.page + (distance < 0 ? 1 : -1));
+    }
+  };
+
   // Fullscreen functionality
   const goFullScreen = () => {
     const element = document.documentElement; // whole page
@@ -37,11 +144,12 @@ function BackgroundSelectionPage() {
     if (!selectedBackground) return;
     
     try {
-      // Store selected background in Redux
-      dispatch(setSelectedBackground(selectedBackground));
+      // Store selected background in Redux; a new guest starts with all retakes
+      dispatch(setSelectedBackground(resolveSelection(selectedBackground)));
+      dispatch(resetRetakeCount());
       
-      // Navigate to photo capture
-      navigate('/photo');
+      // Navigate to name entry (when enabled) or straight to photo capture
+      navigate(nameStep.enabled ? '/name' : '/photo');
     } catch (error) {
       console.error("Error during navigation:", error);
       setError("Failed to proceed to photo capture. Please try again.");
@@ -51,31 +159,157 @@ function BackgroundSelectionPage() {
   return (
     <div className="background-selection-page">
       <div className="header-area">
+        {profile && <p className="event-name">{profile.name}</p>}
         <h1>Choose Your Background</h1>
         <p style={{ fontSize: '1.2rem', marginTop: '10px', opacity: '0.9' }}>
           Select a background for your photo
         </p>
       </div>
 
-      <div className="background-grid">
-        {BACKGROUND_OPTIONS.map((background) => (
-          <div
-            key={background.id}
-            className={`background-thumbnail ${selectedBackground?.id === background.id ? 'selected' : ''}`}
-            onClick={() => handleBackgroundSelect(background)}
-          >
-            <img
-              src={background.src}
-              alt={background.label}
-              onError={(e) => {
-                e.target.src = '/bg1.jpg'; // Fallback to default background
-                e.target.alt = 'Background (fallback)';
-              }}
-            />
-            <span className="background-label">{background.label}</span>
+      {catalog.status === 'loading' && <p className="catalog-status">Loading backgrounds...</p>}
+
+      {catalog.status === 'error' && (
+        <div className="error-message" data-testid="catalog-error">
+          <p>Backgrounds could not be loaded. Please ask a staff member for help.</p>
+          <p className="catalog-error-detail">{catalog.error}</p>
+          <button onClick={catalog.reload}>Try Again</button>
+        </div>
+      )}
+
+      {catalog.status === 'ready' && (
+        <div className="background-filters">
+          {(categories.length > 1 || customBackgrounds.enabled) && (
+            <div className="category-tabs" role="tablist">
+              {[null, ...categories].map((name) => (
+                <button
+                  key={name || 'all'}
+                  role="tab"
+                  aria-selected={!customOpen && category === name}
+                  className={`category-tab ${!customOpen && category === name ? 'active' : ''}`}
+                  onClick={() => handleCategoryChange(name)}
+                >
+                  {name || 'All'}
+                </button>
+              ))}
+              {customBackgrounds.enabled && (
+                <button
+                  role="tab"
+                  aria-selected={customOpen}
+                  className={`category-tab ${customOpen ? 'active' : ''}`}
+                  onClick={() => setCustomOpen(true)}
+                >
+                  Custom
+                </button>
+              )}
+            </div>
+          )}
+          {!customOpen && (
+            <div className="background-search">
+              <input
+                type="search"
+                placeholder="Search places"
+                aria-label="Search backgrounds"
+                value={query}
+                onChange={(e) => handleQueryChange(e.target.value)}
+              />
+              {query && (
+                <button aria-label="Clear search" onClick={() => handleQueryChange('')}>
+                  ×
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {customOpen && (
+        <div className="custom-backgrounds">
+          <div className="background-grid">
+            {[...(uploadedBackground ? [uploadedBackground] : []), ...CUSTOM_BACKGROUND_PRESETS].map((item) => {
+              const isUpload = item === uploadedBackground;
+              const id = isUpload ? item.id : `custom-${item.id}`;
+              return (
+                <div
+                  key={id}
+                  className={`background-thumbnail ${selectedBackground?.id === id ? 'selected' : ''}`}
+                  onClick={() => handleBackgroundSelect(isUpload ? item : createCustomBackground(item))}
+                >
+                  <img src={isUpload ? item.src : customPreviews[item.id]} alt={item.label} />
+                  <span className="background-label">{item.label}</span>
+                </div>
+              );
+            })}
           </div>
-        ))}
-      </div>
+          <div className="custom-background-actions">
+            <label className="custom-color-picker">
+              Any colour
+              <input
+                type="color"
+                value={customColor}
+                onChange={(e) => handleCustomColor(e.target.value)}
+                onBlur={handleCustomColorDone}
+              />
+            </label>
+            {customBackgrounds.upload && (
+              <button onClick={() => fileInputRef.current?.click()} disabled={uploading}>
+                {uploading ? 'Preparing…' : 'Upload your own'}
+              </button>
+            )}
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleUploadBackground}
+            style={{ display: 'none' }}
+            data-testid="background-file-input"
+          />
+        </div>
+      )}
+
+      {!customOpen && catalog.status === 'ready' && matches.length === 0 && (
+        <p className="catalog-status">No backgrounds match your search.</p>
+      )}
+
+      {!customOpen && (
+        <div className="background-grid" onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+          {visible.items.map((background) => (
+            <div
+              key={background.id}
+              className={`background-thumbnail ${selectedBackground?.id === background.id ? 'selected' : ''}`}
+              onClick={() => handleBackgroundSelect(background)}
+            >
+              <img
+                src={background.thumbnail || background.src}
+                alt={background.label}
+                onError={(e) => {
+                  e.target.src = '/bg1.jpg'; // Fallback to default background
+                  e.target.alt = 'Background (fallback)';
+                }}
+              />
+              <span className="background-label">{background.label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!customOpen && visible.pageCount > 1 && (
+        <div className="background-pager">
+          <button onClick={() => setPage(visible.page - 1)} disabled={visible.page === 0} aria-label="Previous page">
+            ‹
+          </button>
+          <span>
+            {visible.page + 1} / {visible.pageCount}
+          </span>
+          <button
+            onClick={() => setPage(visible.page + 1)}
+            disabled={visible.page === visible.pageCount - 1}
+            aria-label="Next page"
+          >
+            ›
+          </button>
+        </div>
+      )}
 
       {error && (
         <div className="error-message">
@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import Webcam from 'react-webcam';
+import { useNavigate } from 'react-router-dom';
+import {
+  CAMERA_RESOLUTIONS,
+  CAMERA_ROTATIONS,
+  buildVideoConstraints,
+  getCameraDisplayStyle,
+  listCameras,
+  loadCameraSettings,
+  saveCameraSettings
+} from '../lib/camera';
+
+// Operator screen for choosing the kiosk camera and how its frames are captured
+function CameraSettingsPage() {
+  const navigate = useNavigate();
+  const webcamRef = useRef(null);
+  const [settings, setSettings] = useState(loadCameraSettings);
+  const [cameras, setCameras] = useState([]);
+  const [actualSize, setActualSize] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | saved | error
+  const videoConstraints = useMemo(() => buildVideoConstraints(settings), [settings]);
+
+  const refreshCameras = useCallback(() => {
+    listCameras()
+      .then(setCameras)
+      .catch((error) => console.warn('Could not list cameras:', error));
+  }, []);
+
+  useEffect(() => {
+    refreshCameras();
+  }, [refreshCameras]);
+
+  // Device labels only appear once the camera is open, so list again then
+  const handleUserMedia = () => {
+    const video = webcamRef.current?.video;
+    if (video) {
+      setActualSize({ width: video.videoWidth, height: video.videoHeight });
+    }
+    refreshCameras();
+  };
+
+  const handleUserMediaError = (error) => {
+    console.error('Camera unavailable:', error);
+    setStatus('error');
+  };
+
+  const update = (changes) => {
+    setSettings((current) => ({ ...current, ...changes }));
+    setActualSize(null);
+    setStatus('idle');
+  };
+
+  const handleSave = () => {
+    saveCameraSettings(settings);
+    setStatus('saved');
+  };
+
+  return (
+    <div className="camera-settings-page">
+      <div className="header-area">
+        <h1>Camera Settings</h1>
+        <p style={{ fontSize: '1.2rem', marginTop: '10px', opacity: '0.9' }}>
+          Saved on this kiosk and used for every capture
+        </p>
+      </div>
+
+      <div className="camera-settings-preview">
+        <Webcam
+          key={settings.deviceId}
+          audio={false}
+          ref={webcamRef}
+          videoConstraints={videoConstraints}
+          onUserMedia={handleUserMedia}
+          onUserMediaError={handleUserMediaError}
+          style={getCameraDisplayStyle(settings)}
+        />
+      </div>
+
+      <div className="camera-settings-controls">
+        <label>
+          Camera
+          <select value={settings.deviceId} onChange={(e) => update({ deviceId: e.target.value })}>
+            <option value="">Default (front camera)</option>
+            {cameras.map((camera) => (
+              <option key={camera.deviceId} value={camera.deviceId}>
+                {camera.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Resolution
+          <select value={settings.resolution} onChange={(e) => update({ resolution: e.target.value })}>
+            {Object.entries(CAMERA_RESOLUTIONS).map(([key, resolution]) => (
+              <option key={key} value={key}>
+                {resolution.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Rotation
+          <select value={settings.rotation} onChange={(e) => update({ rotation: Number(e.target.value) })}>
+            {CAMERA_ROTATIONS.map((rotation) => (
+              <option key={rotation} value={rotation}>
+                {rotation}°
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.mirrored}
+            onChange={(e) => update({ mirrored: e.target.checked })}
+          />
+          Mirror
+        </label>
+      </div>
+
+      <p className="camera-settings-status">
+        {status === 'error' && 'This camera could not be opened. Pick another one or check the connection.'}
+        {status === 'saved' && 'Saved.'}
+        {status === 'idle' && actualSize && `Camera delivers ${actualSize.width} × ${actualSize.height}`}
+      </p>
+
+      <div className="action-buttons">
+        <button className="back-button" onClick={() => navigate('/')}>
+          Back
+        </button>
+        <button className="continue-button" onClick={handleSave}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CameraSettingsPage;
@@ -0,0 +1,108 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { setEventProfile } from '../features/appSlice';
+import { EVENT_CONFIG } from '../config/appConfig';
+import {
+  isEventProfileActive,
+  loadChosenEventId,
+  loadEventProfiles,
+  saveChosenEventId,
+  selectEventProfile
+} from '../lib/eventProfiles';
+
+const formatDates = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) return '';
+  if (startDate === endDate) return ` (${startDate})`;
+  return ` (${startDate || '…'} – ${endDate || '…'})`;
+};
+
+// Operator screen for choosing which event profile this kiosk runs
+function EventSettingsPage() {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const activeProfile = useSelector((state) => state.app.eventProfile);
+  const [profiles, setProfiles] = useState([]);
+  const [problems, setProblems] = useState([]);
+  const [chosenId, setChosenId] = useState(loadChosenEventId);
+  const [status, setStatus] = useState('loading'); // loading | idle | saved
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEventProfiles(EVENT_CONFIG.manifestUrl).then((result) => {
+      if (cancelled) return;
+      setProfiles(result.profiles);
+      setProblems(result.problems);
+      setStatus('idle');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = () => {
+    saveChosenEventId(chosenId);
+    dispatch(setEventProfile(selectEventProfile(profiles, { requestedId: chosenId })));
+    setStatus('saved');
+  };
+
+  const today = new Date();
+
+  return (
+    <div className="camera-settings-page">
+      <div className="header-area">
+        <h1>Event</h1>
+        <p style={{ fontSize: '1.2rem', marginTop: '10px', opacity: '0.9' }}>
+          Branding, backgrounds and steps for this kiosk
+        </p>
+      </div>
+
+      <div className="camera-settings-controls">
+        <label>
+          Event profile
+          <select
+            value={chosenId}
+            onChange={(e) => {
+              setChosenId(e.target.value);
+              setStatus('idle');
+            }}
+            disabled={status === 'loading'}
+          >
+            <option value="">Automatic (by date)</option>
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+                {formatDates(profile)}
+                {isEventProfileActive(profile, today) ? ' – today' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="camera-settings-status">
+        {status === 'loading' && 'Loading event profiles...'}
+        {status === 'saved' && 'Saved.'}
+        {status === 'idle' && `Running: ${activeProfile ? activeProfile.name : 'default settings'}`}
+      </p>
+
+      {problems.length > 0 && (
+        <div className="error-message" data-testid="event-problems">
+          <p>Some event profiles could not be used:</p>
+          <p className="catalog-error-detail">{problems.join('; ')}</p>
+        </div>
+      )}
+
+      <div className="action-buttons">
+        <button className="back-button" onClick={() => navigate('/')}>
+          Back
+        </button>
+        <button className="continue-button" onClick={handleSave} disabled={status === 'loading'}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default EventSettingsPage;
@@ -37,13 +37,20 @@ function NamePage() {
   const navigate = useNavigate();
 
   const handleSubmit = () => {
-    dispatch(setName(name));
+    dispatch(setName(name.trim()));
     navigate('/photo');
   };
+
+  // The name is optional; clear any name left over from a previous guest
+  const handleSkip = () => {
+    dispatch(setName(''));
+    navigate('/photo');
+  };
+
   return (
     <div
       style={{
-        backgroundImage: 'url("../bg2.png")', // Replace with your image URL
+        backgroundImage: 'var(--page-background)',
         backgroundSize: 'cover',
         backgroundPosition: 'center',
         height: '100vh',
@@ -59,7 +66,9 @@ function NamePage() {
     <input
   value={name}
   placeholder='Enter your name'
+  maxLength={24}
   onChange={(e) => setNameState(e.target.value)}
+  onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
   style={{
     padding: '30px',
     fontSize: '30px',
@@ -88,12 +97,27 @@ function NamePage() {
     display: 'flex', // Use flexbox for vertical centering
     justifyContent: 'center', // Center horizontally
     alignItems: 'center', 
-    marginBottom:"20%"
+    marginBottom:"20px"
   }}
 >
   Submit
 </button>
 
+     <button
+  onClick={handleSkip}
+  style={{
+    background: 'transparent',
+    color: '#ffffff',
+    border: 'none',
+    fontSize: '24px',
+    cursor: 'pointer',
+    textDecoration: 'underline',
+    marginBottom: '20%'
+  }}
+>
+  Skip
+</button>
+
     </div>
   );
 }
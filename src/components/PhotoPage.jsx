@@ -1,69 +1,330 @@
 
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useMemo } from "react";
 import Webcam from "react-webcam";
 import { useNavigate } from "react-router-dom";
-import { useSelector } from "react-redux";
-
-const CLIPDROP_API_KEY =
-  "51eca5c745c8c30c8bce40840f1fe410892531e8ef825173a93a7361dfa71c45bcdae2bc7c9154d85af12489f6713448"; // Replace with your actual API key
-
-const DEFAULT_BACKGROUND_PATH = "/bg1.jpg";
-
-const videoConstraints = {
-  width: { ideal: 1920 },
-  height: { ideal: 1080 },
-  facingMode: "user",
-  aspectRatio: { ideal: 16 / 9 }
-};
+import { useSelector, useDispatch } from "react-redux";
+import { setProcessedPhoto, incrementRetakeCount } from "../features/appSlice";
+import { getBackgroundRemovalProvider } from "../lib/backgroundRemoval";
+import { composeImage } from "../lib/compositing/compositor";
+import { composeClip, isClipRecordingSupported } from "../lib/compositing/clip";
+import { PHOTO_LAYOUTS, composeLayout, getLayoutShotCount } from "../lib/compositing/layouts";
+import { getSharedSegmenter } from "../lib/segmentation/sharedSegmenter";
+import {
+  BACKGROUND_REMOVAL_CONFIG,
+  LIVE_PREVIEW_CONFIG,
+  DEFAULT_BACKGROUND_PATH
+} from "../config/appConfig";
+import { useEventConfig } from "../hooks/useEventConfig";
+import { useLiveBackgroundPreview } from "../hooks/useLiveBackgroundPreview";
+import { useCompositionOptions } from "../hooks/useCompositionOptions";
+import { useCountdown } from "../hooks/useCountdown";
+import { playBeep, playShutter } from "../lib/captureSounds";
+import {
+  buildVideoConstraints,
+  getCameraDisplayStyle,
+  loadCameraSettings,
+  transformCapture
+} from "../lib/camera";
+import { importPhotoFile } from "../lib/photoImport";
 
 function PhotoPage() {
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const webcamRef = useRef(null);
   const canvasRef = useRef(null);
+  const previewCanvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Flow settings, as overridden by the active event profile
+  const {
+    editor: editorConfig,
+    clip: clipConfig,
+    burst: burstConfig,
+    countdown: countdownConfig,
+    review: reviewConfig,
+    import: importConfig
+  } = useEventConfig();
   const [processing, setProcessing] = useState(false);
   const [processingStep, setProcessingStep] = useState("");
+  const [recording, setRecording] = useState(false);
+  const [shooting, setShooting] = useState(false);
+  const [captureMode, setCaptureMode] = useState("single"); // 'single' or a PHOTO_LAYOUTS key
+  const [flashKey, setFlashKey] = useState(0);
+  const [review, setReview] = useState(null); // { shots, layout, imported } awaiting Retake / Use
+  const [dragging, setDragging] = useState(false);
+  // Operator's camera choice, saved on this kiosk (see CameraSettingsPage)
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const videoConstraints = useMemo(() => buildVideoConstraints(cameraSettings), [cameraSettings]);
+  const { count: countdown, start: startCountdown } = useCountdown({
+    // Higher pitch on the last number
+    onTick: countdownConfig.beep ? (value) => playBeep({ frequency: value === 1 ? 1320 : 880 }) : undefined
+  });
+  const canRecordClip = clipConfig.enabled && isClipRecordingSupported();
+  const burstLayouts = burstConfig.enabled ? burstConfig.layouts.filter((key) => PHOTO_LAYOUTS[key]) : [];
   
   // Get selected background from Redux store
   const selectedBackground = useSelector((state) => state.app.selectedBackground);
+  const retakeCount = useSelector((state) => state.app.retakeCount);
+  const retakesLeft = Math.max(0, reviewConfig.maxRetakes - retakeCount);
+  const compositionOptions = useCompositionOptions();
+
+  // Real-time preview of the guest over the selected background, paused while processing
+  const { isActive: isPreviewActive } = useLiveBackgroundPreview({
+    webcamRef,
+    canvasRef: previewCanvasRef,
+    backgroundSrc: selectedBackground?.src,
+    backgroundVideoSrc: selectedBackground?.video,
+    focalPoint: compositionOptions.settings.fit.focalPoint,
+    cameraTransform: cameraSettings,
+    enabled: LIVE_PREVIEW_CONFIG.enabled && (!processing || shooting),
+    fps: LIVE_PREVIEW_CONFIG.fps,
+    segmenterOptions: LIVE_PREVIEW_CONFIG.segmenter
+  });
 
   // Handle change background navigation
   const handleChangeBackground = () => {
     navigate('/');
   };
 
+  // Count down, then take the picture with the configured flash and shutter cues
+  const snapPhoto = async (seconds) => {
+    await startCountdown(seconds);
+    if (countdownConfig.flash) {
+      setFlashKey((key) => key + 1);
+    }
+    if (countdownConfig.shutterSound) {
+      playShutter();
+    }
+    const screenshot = webcamRef.current.getScreenshot();
+    return screenshot && transformCapture(screenshot, cameraSettings);
+  };
+
   // Capture image from webcam
-  const handleStartCapture = () => {
+  const handleStartCapture = async () => {
+    if (captureMode !== "single") {
+      handleBurstCapture(PHOTO_LAYOUTS[captureMode]);
+      return;
+    }
+
     setProcessing(true);
-    setProcessingStep("Capturing image...");
-    const imageSrc = webcamRef.current.getScreenshot();
-    if (imageSrc) {
+    setShooting(true);
+    setProcessingStep(countdownConfig.seconds > 0 ? "Get ready..." : "Capturing image...");
+
+    try {
+      const imageSrc = await snapPhoto(countdownConfig.seconds);
+      if (!imageSrc) {
+        throw new Error("Could not capture image from webcam");
+      }
       console.log("Image captured:", imageSrc);
+      setShooting(false);
+      setProcessingStep("");
+      reviewOrProcess([imageSrc]);
+    } catch (error) {
+      console.error("Error during capture:", error);
+      setShooting(false);
+      setProcessingStep("Error taking your photo. Please try again.");
+      setProcessing(false);
+    }
+  };
+
+  // Take several photos with a countdown before each
+  const handleBurstCapture = async (layout) => {
+    setProcessing(true);
+    setShooting(true);
+    const shotCount = getLayoutShotCount(layout);
+
+    try {
+      const shots = [];
+      for (let i = 0; i < shotCount; i++) {
+        setProcessingStep(`Photo ${i + 1} of ${shotCount}`);
+        const imageSrc = await snapPhoto(i === 0 ? countdownConfig.seconds : burstConfig.intervalSeconds);
+        if (!imageSrc) {
+          throw new Error("Could not capture image from webcam");
+        }
+        shots.push(imageSrc);
+      }
+      setShooting(false);
       setProcessingStep("");
-      processBackgroundRemoval(imageSrc);
+      reviewOrProcess(shots, layout);
+    } catch (error) {
+      console.error(`Error during ${layout.label} capture:`, error);
+      setShooting(false);
+      setProcessingStep("Error taking your photos. Please try again.");
+      setProcessing(false);
+    }
+  };
+
+  // Use an existing photo instead of the webcam; it goes through the same review and removal
+  const handleImportFile = async (file) => {
+    if (!file || processing) return;
+
+    setProcessing(true);
+    setProcessingStep("Loading photo...");
+    try {
+      const imageSrc = await importPhotoFile(file, { maxSize: importConfig.maxSize });
+      setProcessingStep("");
+      reviewOrProcess([imageSrc], null, true);
+    } catch (error) {
+      console.error("Error importing photo:", error);
+      setProcessingStep(`${error.message}. Please try another photo.`);
+      setProcessing(false);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files;
+    // Clear the input so picking the same file again still fires a change
+    event.target.value = "";
+    handleImportFile(file);
+  };
+
+  const handleDragOver = (event) => {
+    if (!importConfig.enabled || processing || review) return;
+    event.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = (event) => {
+    if (!importConfig.enabled || processing || review) return;
+    event.preventDefault();
+    setDragging(false);
+    handleImportFile(event.dataTransfer.files[0]);
+  };
+
+  // Show the raw captures for review when enabled, otherwise process them right away
+  const reviewOrProcess = (shots, layout = null, imported = false) => {
+    if (reviewConfig.enabled) {
+      setReview({ shots, layout, imported });
+      setProcessing(false);
+      return;
+    }
+    processCaptures(shots, layout);
+  };
+
+  const processCaptures = (shots, layout) => {
+    setProcessing(true);
+    if (layout) {
+      processBurst(shots, layout);
+    } else {
+      processBackgroundRemoval(shots[0]);
+    }
+  };
+
+  // A saved camera that was unplugged or renumbered fails its exact deviceId;
+  // fall back to the default camera rather than leaving a dead preview
+  const handleUserMediaError = (error) => {
+    if (!cameraSettings.deviceId) {
+      console.error("Camera unavailable:", error);
+      return;
+    }
+    console.warn("Saved camera unavailable, using the default camera:", error);
+    setCameraSettings((current) => ({ ...current, deviceId: "" }));
+  };
+
+  // Only now is the removal provider called
+  const handleUseCapture = () => {
+    const { shots, layout } = review;
+    setReview(null);
+    processCaptures(shots, layout);
+  };
+
+  const handleRetake = () => {
+    const { layout, imported } = review;
+    setReview(null);
+    // Picking another file is not a retake of the camera
+    if (imported) {
+      fileInputRef.current.click();
+      return;
+    }
+    dispatch(incrementRetakeCount());
+    if (layout) {
+      handleBurstCapture(layout);
+    } else {
+      handleStartCapture();
+    }
+  };
+
+  // Cut out each burst shot and lay them out on one sheet
+  const processBurst = async (shots, layout) => {
+    const provider = getBackgroundRemovalProvider(BACKGROUND_REMOVAL_CONFIG);
+
+    try {
+      // One at a time, so a cloud provider is not hit with a burst of requests
+      const cutouts = [];
+      for (let i = 0; i < shots.length; i++) {
+        setProcessingStep(`Removing background ${i + 1} of ${shots.length}...`);
+        cutouts.push(await provider.removeBackground(shots[i]));
+      }
+
+      setProcessingStep("Combining with background...");
+      const { backgroundSrc, settings, textValues, output, loadOverlayLayers } = compositionOptions;
+      const { combinedImage } = await composeLayout({
+        layout,
+        backgroundSrc,
+        foregroundSrcs: cutouts,
+        settings,
+        overlays: await loadOverlayLayers(),
+        textValues,
+        output,
+        canvas: canvasRef.current
+      });
+
+      setProcessingStep("Complete! Redirecting...");
+      navigate("/result", { state: { combinedImage } });
+    } catch (error) {
+      console.error(`Error creating ${layout.label}:`, error);
+      setProcessingStep("Error creating your photos. Please try again.");
+      setProcessing(false);
+    }
+  };
+
+  // Record a short clip of the guest over the (possibly moving) background
+  const handleRecordClip = async () => {
+    setProcessing(true);
+    setShooting(true);
+    setProcessingStep("Get ready...");
+    try {
+      await startCountdown(countdownConfig.seconds);
+      setShooting(false);
+      setRecording(true);
+      const { background, backgroundSrc, settings, textValues, output, loadOverlayLayers } = compositionOptions;
+      const { clip, poster } = await composeClip({
+        camera: webcamRef.current.video,
+        cameraTransform: cameraSettings,
+        segmenter: getSharedSegmenter(clipConfig.segmenter),
+        backgroundSrc,
+        backgroundVideoSrc: background?.video,
+        settings,
+        overlays: await loadOverlayLayers(),
+        textValues,
+        output,
+        clip: clipConfig,
+        canvas: canvasRef.current,
+        onProgress: (progress) => {
+          const secondsLeft = Math.ceil(((1 - progress) * clipConfig.durationMs) / 1000);
+          setProcessingStep(`Recording... ${secondsLeft}s`);
+        }
+      });
+
+      setRecording(false);
+      setProcessingStep("Complete! Redirecting...");
+      navigate("/result", { state: { combinedImage: poster, clip } });
+    } catch (error) {
+      console.error("Error recording clip:", error);
+      setShooting(false);
+      setRecording(false);
+      setProcessingStep("Error recording clip. Please try again.");
+      setProcessing(false);
     }
   };
 
-  // Call ClipDrop API to remove background and combine with selected background
+  // Remove background with the configured provider and combine with selected background
   const processBackgroundRemoval = (imageSrc) => {
     setProcessingStep("");
-    const blob = dataURLtoBlob(imageSrc);
-    const formData = new FormData();
-    formData.append("image_file", blob);
-
-    fetch("https://clipdrop-api.co/remove-background/v1", {
-      method: "POST",
-      headers: {
-        "x-api-key": CLIPDROP_API_KEY,
-      },
-      body: formData,
-    })
-      .then((response) => {
-        if (!response.ok) throw new Error(`API error: ${response.status}`);
-        return response.arrayBuffer();
-      })
-      .then((buffer) => {
-        const base64Image = arrayBufferToBase64(buffer);
-        const processedImageData = `data:image/png;base64,${base64Image}`;
+    const provider = getBackgroundRemovalProvider(BACKGROUND_REMOVAL_CONFIG);
+
+    provider
+      .removeBackground(imageSrc)
+      .then((processedImageData) => {
         if (processedImageData) {
           console.log("Processed image:", processedImageData);
           setProcessingStep("Combining with background...");
@@ -73,27 +334,41 @@ function PhotoPage() {
         }
       })
       .catch((error) => {
-        console.error("Error during background removal:", error);
+        console.error(`Error during background removal (${provider.name}):`, error);
         setProcessingStep("Error removing background. Please try again.");
         setProcessing(false);
       });
   };
 
-  // Combine processed image with selected background
+  // Combine processed image with selected background, through the placement editor when enabled
   const combineWithSelectedBackground = async (processedImageData) => {
     try {
-      // Fallback to default background if no background selected
-      const backgroundSrc = selectedBackground?.src || DEFAULT_BACKGROUND_PATH;
-      
-      // Log warning if using fallback
+      // Log warning if falling back to the default background
       if (!selectedBackground) {
         console.warn("No background selected, using default background:", DEFAULT_BACKGROUND_PATH);
       }
+
+      if (editorConfig.enabled) {
+        dispatch(setProcessedPhoto(processedImageData));
+        setProcessingStep("Complete! Redirecting...");
+        navigate("/edit");
+        return;
+      }
       
-      const combinedImage = await combineImages(backgroundSrc, processedImageData);
+      const { backgroundSrc, settings, textValues, output, includeCutout, loadOverlayLayers } = compositionOptions;
+      const { combinedImage, cutoutImage } = await composeImage({
+        backgroundSrc,
+        foregroundSrc: processedImageData,
+        settings,
+        overlays: await loadOverlayLayers(),
+        textValues,
+        output,
+        includeCutout,
+        canvas: canvasRef.current
+      });
       
       setProcessingStep("Complete! Redirecting...");
-      navigate("/result", { state: { combinedImage } });
+      navigate("/result", { state: { combinedImage, cutoutImage } });
     } catch (error) {
       console.error("Error combining images:", error);
       setProcessingStep("Error combining images. Please try again.");
@@ -101,126 +376,48 @@ function PhotoPage() {
     }
   };
 
-  // Combine background and processed images
-  const combineImages = async (backgroundImageSrc, foregroundImageSrc) => {
-    return new Promise((resolve, reject) => {
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext("2d");
-      const background = new Image();
-      const foreground = new Image();
-
-      // Add timeout to prevent hanging
-      const timeout = setTimeout(() => {
-        reject(new Error("Image loading timeout"));
-      }, 15000);
-
-      background.crossOrigin = "anonymous";
-      foreground.crossOrigin = "anonymous";
-
-      background.onload = () => {
-        console.log("Background image loaded successfully", background.width, "x", background.height);
-
-        // Set canvas size to optimal dimensions for portrait images
-        const maxWidth = 1080;
-        const maxHeight = 1920;
-
-        let canvasWidth = maxWidth;
-        let canvasHeight = maxHeight;
-
-        // If background is landscape, adjust to fit within max dimensions
-        const backgroundAspectRatio = background.width / background.height;
-        if (backgroundAspectRatio > (maxWidth / maxHeight)) {
-          canvasHeight = canvasWidth / backgroundAspectRatio;
-          if (canvasHeight < 800) {
-            canvasHeight = 800;
-            canvasWidth = canvasHeight * backgroundAspectRatio;
-          }
-        } else {
-          canvasWidth = canvasHeight * backgroundAspectRatio;
-          if (canvasWidth < 600) {
-            canvasWidth = 600;
-            canvasHeight = canvasWidth / backgroundAspectRatio;
-          }
-        }
-
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(background, 0, 0, canvas.width, canvas.height);
-
-        foreground.onload = () => {
-          console.log("Foreground image loaded successfully", foreground.width, "x", foreground.height);
-          clearTimeout(timeout);
-
-          // Calculate scaling to fit the entire user image within canvas while maintaining aspect ratio
-          const foregroundAspectRatio = foreground.width / foreground.height;
-          const canvasAspectRatio = canvas.width / canvas.height;
-
-          let drawWidth, drawHeight, offsetX, offsetY;
-
-          if (foregroundAspectRatio > canvasAspectRatio) {
-            drawWidth = canvas.width;
-            drawHeight = canvas.width / foregroundAspectRatio;
-            offsetX = 0;
-            offsetY = (canvas.height - drawHeight) / 2;
-          } else {
-            drawHeight = canvas.height;
-            drawWidth = canvas.height * foregroundAspectRatio;
-            offsetX = (canvas.width - drawWidth) / 2;
-            offsetY = 0;
-          }
-
-          ctx.drawImage(foreground, offsetX, offsetY, drawWidth, drawHeight);
-
-          const combinedImage = canvas.toDataURL("image/jpeg", 0.8);
-          console.log("Combined Image created successfully");
-          resolve(combinedImage);
-        };
-
-        foreground.onerror = (error) => {
-          clearTimeout(timeout);
-          console.error("Foreground image failed to load:", error);
-          reject(new Error("Failed to load foreground image"));
-        };
-
-        foreground.src = foregroundImageSrc;
-      };
-
-      background.onerror = (error) => {
-        clearTimeout(timeout);
-        console.error("Background image failed to load:", error);
-        reject(new Error("Failed to load background image"));
-      };
-
-      console.log("Loading background image:", backgroundImageSrc);
-      background.src = backgroundImageSrc;
-    });
-  };
-
-
-
-
   return (
-    <div className="photo-page-container">
+    <div
+      className="photo-page-container"
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+    >
       <div className="webcam-container">
         <Webcam
           audio={false}
           ref={webcamRef}
           screenshotFormat="image/jpeg"
           videoConstraints={videoConstraints}
+          onUserMediaError={handleUserMediaError}
           style={{
             width: "100%",
             height: "100vh",
             objectFit: "cover",
+            ...getCameraDisplayStyle(cameraSettings)
           }}
         />
+        <canvas
+          ref={previewCanvasRef}
+          data-testid="live-preview"
+          style={{
+            position: "absolute",
+            top: 0,
+            left: 0,
+            width: "100%",
+            height: "100vh",
+            objectFit: "cover",
+            display: isPreviewActive ? "block" : "none"
+          }}
+        ></canvas>
       </div>
+      {/* Offscreen compositing canvas, shown while a clip is being recorded */}
       <canvas
         ref={canvasRef}
         width={1080}
         height={1920}
-        style={{ display: "none" }}
+        className={recording ? "clip-recording-canvas" : undefined}
+        style={{ display: recording ? "block" : "none" }}
       ></canvas>
 
       {/* Background preview and change button */}
@@ -273,11 +470,93 @@ function PhotoPage() {
         </div>
       )}
 
+      {/* Raw capture review: the removal provider is only called on confirmation */}
+      {review && (
+        <div className="capture-review" data-testid="capture-review">
+          <div className={review.shots.length === 1 ? "capture-review-shots single" : "capture-review-shots"}>
+            {review.shots.map((shot, index) => (
+              <img
+                key={index}
+                src={shot}
+                alt={review.shots.length === 1 ? "Your photo" : `Photo ${index + 1}`}
+              />
+            ))}
+          </div>
+
+          <div className="capture-review-actions">
+            {review.imported ? (
+              <button className="retake-button" onClick={handleRetake}>
+                Choose Another
+              </button>
+            ) : (
+              retakesLeft > 0 && (
+                <button className="retake-button" onClick={handleRetake}>
+                  Retake
+                </button>
+              )
+            )}
+            <button className="use-button" onClick={handleUseCapture}>
+              {review.shots.length === 1 ? "Use This Photo" : "Use These Photos"}
+            </button>
+          </div>
+          {!review.imported && (
+            <p className="capture-review-hint">
+              {retakesLeft > 0
+                ? `${retakesLeft} ${retakesLeft === 1 ? "retake" : "retakes"} left`
+                : "No retakes left"}
+            </p>
+          )}
+        </div>
+      )}
+
+      {countdown !== null && (
+        <div className="countdown-overlay" data-testid="countdown">{countdown}</div>
+      )}
+      {flashKey > 0 && <div key={flashKey} className="capture-flash"></div>}
+      {dragging && (
+        <div className="photo-drop-overlay" data-testid="photo-drop-overlay">
+          Drop your photo here
+        </div>
+      )}
+
       <div className="gg88" style={{ position: "absolute", bottom: "10px" }}>
+        {burstLayouts.length > 0 && !processing && (
+          <div className="capture-modes">
+            {["single", ...burstLayouts].map((mode) => (
+              <button
+                key={mode}
+                className={captureMode === mode ? "active" : undefined}
+                onClick={() => setCaptureMode(mode)}
+              >
+                {mode === "single" ? "Single photo" : PHOTO_LAYOUTS[mode].label}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="capture-btn-gg">
           <button onClick={handleStartCapture} disabled={processing}>
             {processing ? processingStep || "Processing..." : "Capture"}
           </button>
+          {canRecordClip && !processing && (
+            <button className="clip-btn" onClick={handleRecordClip}>
+              Record clip
+            </button>
+          )}
+          {importConfig.enabled && !processing && (
+            <button className="upload-btn" onClick={() => fileInputRef.current.click()}>
+              Upload photo
+            </button>
+          )}
+          {importConfig.enabled && (
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              data-testid="photo-file-input"
+              onChange={handleFileChange}
+              style={{ display: "none" }}
+            />
+          )}
           {processing && processingStep && (
             <div style={{
               marginTop: "10px",
@@ -294,28 +573,4 @@ function PhotoPage() {
   );
 }
 
-// Helper function to convert dataURL to Blob
-const dataURLtoBlob = (dataURL) => {
-  const arr = dataURL.split(",");
-  const mime = arr[0].match(/:(.*?);/)[1];
-  const bstr = atob(arr[1]);
-  let n = bstr.length;
-  const u8arr = new Uint8Array(n);
-  while (n--) {
-    u8arr[n] = bstr.charCodeAt(n);
-  }
-  return new Blob([u8arr], { type: mime });
-};
-
-// Helper function to convert ArrayBuffer to base64
-const arrayBufferToBase64 = (buffer) => {
-  let binary = "";
-  const bytes = new Uint8Array(buffer);
-  const len = bytes.byteLength;
-  for (let i = 0; i < len; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  return window.btoa(binary);
-};
-
 export default PhotoPage;
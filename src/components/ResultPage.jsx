@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { supabase } from '../lib/supabaseClient'; // Import Supabase client
+import { useDispatch } from 'react-redux';
+import { resetRetakeCount } from '../features/appSlice';
+import { uploadDataURL } from '../lib/imageStorage';
 import { QRCodeCanvas } from 'qrcode.react'; // Import QRCodeCanvas
 import { useImageDimensions } from '../hooks/useImageDimensions';
 import { useResponsiveImageSize } from '../hooks/useResponsiveImageSize';
@@ -8,9 +10,14 @@ import { useResponsiveImageSize } from '../hooks/useResponsiveImageSize';
 function ResultPage() {
   const location = useLocation();
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const [uploadStatus, setUploadStatus] = useState('Uploading...');
   const [imageUrl, setImageUrl] = useState(null); // State to store the public URL of the image
+  const [cutoutUrl, setCutoutUrl] = useState(null);
   const combinedImage = location.state?.combinedImage;
+  const cutoutImage = location.state?.cutoutImage;
+  // Clips arrive with their last frame as combinedImage, used as poster and for sizing
+  const clip = location.state?.clip;
 
   // Use the new hooks for flexible image display
   const { dimensions, isLoading: isDimensionsLoading, error: dimensionsError, retry } = useImageDimensions(combinedImage);
@@ -23,6 +30,12 @@ function ResultPage() {
     deviceType
   } = useResponsiveImageSize(dimensions);
 
+  // The next guest starts a new session with all retakes
+  const handleHome = () => {
+    dispatch(resetRetakeCount());
+    navigate('/');
+  };
+
   useEffect(() => {
     if (!combinedImage) {
       setUploadStatus('No image found to upload.');
@@ -30,30 +43,21 @@ function ResultPage() {
     }
 
     const uploadImage = async () => {
-      const fileName = `combined-image-${Date.now()}.jpeg`;
-
       try {
-        // Convert base64 to Blob for Supabase upload
-        const blob = dataURLtoBlob(combinedImage);
-
-        // Upload the image to Supabase storage
-        const { data, error } = await supabase.storage
-          .from('images') // 'images' is the bucket name
-          .upload(fileName, blob, {
-            contentType: 'image/jpeg',
-          });
-
-        if (error) {
-          throw new Error(error.message);
-        }
-
-        // Get the public URL for the uploaded image
-        const publicURL = `https://crrwcvoimgjghepgrens.supabase.co/storage/v1/object/public/images/${fileName}`
-
+        // Upload the image (or the clip) to Supabase storage
+        const publicURL = clip
+          ? await uploadDataURL(clip, 'clip')
+          : await uploadDataURL(combinedImage, 'combined-image');
 
         setImageUrl(publicURL); // Set the public URL of the image
         setUploadStatus('Upload successful!');
 
+        // The transparent cutout is optional and must not block sharing
+        if (cutoutImage) {
+          uploadDataURL(cutoutImage, 'cutout-image')
+            .then(setCutoutUrl)
+            .catch((error) => console.error('Error uploading cutout to Supabase:', error));
+        }
       } catch (error) {
         setUploadStatus('Error uploading to Supabase');
         console.error('Error uploading to Supabase:', error);
@@ -61,7 +65,7 @@ function ResultPage() {
     };
 
     uploadImage();
-  }, [combinedImage]);
+  }, [combinedImage, cutoutImage, clip]);
 
   // Show loading state while dimensions are being calculated
   if (isDimensionsLoading && combinedImage) {
@@ -107,7 +111,7 @@ function ResultPage() {
             <button
               onClick={retry}
               style={{
-                backgroundColor: '#2244A2',
+                backgroundColor: 'var(--brand-color)',
                 color: 'white',
                 border: 'none',
                 padding: '10px 20px',
@@ -119,7 +123,7 @@ function ResultPage() {
             </button>
             <button
               className="home-button"
-              onClick={() => navigate('/')}
+              onClick={handleHome}
               style={{
                 backgroundColor: '#666',
                 color: 'white',
@@ -163,17 +167,36 @@ function ResultPage() {
            flex: deviceType === 'mobile' ? '0 0 auto' : '1'
          }}
        >
-         <img
-           src={combinedImage}
-           alt="Combined Result"
-           className="combined-image"
-           style={{
-             ...imageStyle,
-             border: '5px solid white',
-             borderRadius: '20px',
-             transition: 'all 0.3s ease'
-           }}
-         />
+         {clip ? (
+           <video
+             src={clip}
+             poster={combinedImage}
+             autoPlay
+             loop
+             muted
+             playsInline
+             className="combined-image"
+             data-testid="result-clip"
+             style={{
+               ...imageStyle,
+               border: '5px solid white',
+               borderRadius: '20px',
+               transition: 'all 0.3s ease'
+             }}
+           />
+         ) : (
+           <img
+             src={combinedImage}
+             alt="Combined Result"
+             className="combined-image"
+             style={{
+               ...imageStyle,
+               border: '5px solid white',
+               borderRadius: '20px',
+               transition: 'all 0.3s ease'
+             }}
+           />
+         )}
        </div>
      
        {/* Right side - QR Code and Home Button */}
@@ -225,12 +248,46 @@ function ResultPage() {
              </p>
            </div>
          )}
+
+         {cutoutUrl && (
+           <div
+             className="qr-code-container cutout-qr"
+             style={{
+               display: 'flex',
+               flexDirection: 'column',
+               alignItems: 'center',
+               gap: '8px'
+             }}
+           >
+             <QRCodeCanvas
+               value={cutoutUrl}
+               size={deviceType === 'tablet' ? 90 : 100}
+               level="M"
+               style={{
+                 border: '2px solid #fff',
+                 borderRadius: '8px',
+                 backgroundColor: '#fff'
+               }}
+             />
+             <p
+               style={{
+                 color: 'white',
+                 fontSize: '13px',
+                 textAlign: 'center',
+                 margin: '0',
+                 opacity: '0.8'
+               }}
+             >
+               Cutout (transparent PNG)
+             </p>
+           </div>
+         )}
      
          <button
            className="home-button"
-           onClick={() => navigate('/')}
+           onClick={handleHome}
            style={{
-             backgroundColor: '#2244A2',
+             backgroundColor: 'var(--brand-color)',
              color: 'white',
              border: 'none',
              padding: deviceType === 'tablet' ? '16px 32px' : '20px 40px',
@@ -257,7 +314,7 @@ function ResultPage() {
           <p>No image found to display.</p>
           <button
             className="home-button"
-            onClick={() => navigate('/')}
+            onClick={handleHome}
           >
             Home
           </button>
@@ -267,17 +324,4 @@ function ResultPage() {
   );
 }
 
-// Helper function to convert dataURL to Blob
-const dataURLtoBlob = (dataURL) => {
-  const arr = dataURL.split(',');
-  const mime = arr[0].match(/:(.*?);/)[1];
-  const bstr = atob(arr[1]);
-  let n = bstr.length;
-  const u8arr = new Uint8Array(n);
-  while (n--) {
-    u8arr[n] = bstr.charCodeAt(n);
-  }
-  return new Blob([u8arr], { type: mime });
-};
-
 export default ResultPage;
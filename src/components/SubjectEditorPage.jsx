@@ -0,0 +1,240 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { exportComposition, prepareLayers, renderComposition, resolveOutputSize } from '../lib/compositing/compositor';
+import {
+  DEFAULT_SUBJECT_TRANSFORM,
+  MIN_SUBJECT_SCALE,
+  MAX_SUBJECT_SCALE,
+  computeGestureTransform,
+  normalizeSubjectTransform
+} from '../lib/compositing/subjectTransform';
+import { frameSubject } from '../lib/compositing/framing';
+import { encodeCutout } from '../lib/compositing/output';
+import { useCompositionOptions } from '../hooks/useCompositionOptions';
+
+// The on-screen preview is drawn at half the output resolution
+const PREVIEW_SCALE = 0.5;
+
+function SubjectEditorPage() {
+  const navigate = useNavigate();
+  const processedPhoto = useSelector((state) => state.app.processedPhoto);
+  const compositionOptions = useCompositionOptions();
+  const { settings, output } = compositionOptions;
+
+  const previewCanvasRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const transformRef = useRef(DEFAULT_SUBJECT_TRANSFORM);
+  const [layers, setLayers] = useState(null);
+  const [transform, setTransform] = useState(DEFAULT_SUBJECT_TRANSFORM);
+  // Auto-framed placement the editor starts from and Reset returns to
+  const [framedTransform, setFramedTransform] = useState(DEFAULT_SUBJECT_TRANSFORM);
+  const [status, setStatus] = useState('loading'); // loading | ready | rendering | error
+
+  // Load and refine background, cutout and overlays once
+  useEffect(() => {
+    if (!processedPhoto) return;
+
+    let cancelled = false;
+    const { backgroundSrc, settings, textValues, output, loadOverlayLayers } = compositionOptions;
+    loadOverlayLayers()
+      .then((overlays) =>
+        prepareLayers({
+          backgroundSrc,
+          foregroundSrc: processedPhoto,
+          settings,
+          overlays,
+          textValues
+        })
+      )
+      .then((preparedLayers) => {
+        if (cancelled) return;
+        const size = resolveOutputSize(preparedLayers.background, output.preset);
+        const framed = frameSubject(preparedLayers, size.width, size.height, settings);
+        transformRef.current = framed;
+        setTransform(framed);
+        setFramedTransform(framed);
+        setLayers(preparedLayers);
+        setStatus('ready');
+      })
+      .catch((error) => {
+        console.error('Error loading images for editing:', error);
+        if (!cancelled) setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [processedPhoto, compositionOptions]);
+
+  // Redraw the preview with the same renderer used for the final image
+  useEffect(() => {
+    if (!layers || !previewCanvasRef.current) return;
+
+    const size = resolveOutputSize(layers.background, output.preset);
+    renderComposition(previewCanvasRef.current, layers, {
+      width: size.width * PREVIEW_SCALE,
+      height: size.height * PREVIEW_SCALE,
+      transform,
+      settings
+    });
+  }, [layers, transform, settings, output]);
+
+  const updateTransform = (next) => {
+    transformRef.current = next;
+    setTransform(next);
+  };
+
+  // (Re)start a gesture from the pointers currently down
+  const startGesture = () => {
+    if (pointersRef.current.size === 0) {
+      gestureRef.current = null;
+      return;
+    }
+    const rect = previewCanvasRef.current.getBoundingClientRect();
+    gestureRef.current = {
+      start: transformRef.current,
+      from: [...pointersRef.current.values()],
+      size: { width: rect.width, height: rect.height }
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    startGesture();
+  };
+
+  const handlePointerMove = (event) => {
+    if (!pointersRef.current.has(event.pointerId) || !gestureRef.current) return;
+
+    pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const { start, from, size } = gestureRef.current;
+    updateTransform(computeGestureTransform(start, from, [...pointersRef.current.values()], size));
+  };
+
+  const handlePointerUp = (event) => {
+    pointersRef.current.delete(event.pointerId);
+    startGesture();
+  };
+
+  // Mouse wheel zoom for operators at a desk
+  const handleWheel = (event) => {
+    updateTransform(
+      normalizeSubjectTransform({
+        ...transformRef.current,
+        scale: transformRef.current.scale * (1 - event.deltaY * 0.001)
+      })
+    );
+  };
+
+  const handleSliderChange = (key) => (event) => {
+    updateTransform(
+      normalizeSubjectTransform({ ...transformRef.current, [key]: Number(event.target.value) })
+    );
+  };
+
+  // Render the final image from the already prepared layers at full resolution
+  const handleDone = () => {
+    setStatus('rendering');
+    try {
+      const { includeCutout } = compositionOptions;
+      const combinedImage = exportComposition(layers, {
+        transform: transformRef.current,
+        settings,
+        output
+      });
+      const cutoutImage = includeCutout ? encodeCutout(layers.subject) : null;
+      navigate('/result', { state: { combinedImage, cutoutImage } });
+    } catch (error) {
+      console.error('Error combining images:', error);
+      setStatus('error');
+    }
+  };
+
+  if (!processedPhoto) {
+    return (
+      <div className="subject-editor-page">
+        <p>No photo to edit.</p>
+        <button className="continue-button" onClick={() => navigate('/photo')}>
+          Take Photo
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="subject-editor-page">
+      <div className="header-area">
+        <h1>Adjust Your Photo</h1>
+        <p style={{ fontSize: '1.2rem', marginTop: '10px', opacity: '0.9' }}>
+          Drag to move, pinch to resize and twist to rotate
+        </p>
+      </div>
+
+      <div className="editor-stage">
+        <canvas
+          ref={previewCanvasRef}
+          className="editor-canvas"
+          data-testid="editor-canvas"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onWheel={handleWheel}
+        ></canvas>
+        {status === 'loading' && <p className="editor-status">Loading...</p>}
+      </div>
+
+      <div className="editor-controls">
+        <label>
+          Size
+          <input
+            type="range"
+            min={MIN_SUBJECT_SCALE}
+            max={MAX_SUBJECT_SCALE}
+            step="0.01"
+            value={transform.scale}
+            onChange={handleSliderChange('scale')}
+          />
+        </label>
+        <label>
+          Rotate
+          <input
+            type="range"
+            min="-45"
+            max="45"
+            step="1"
+            value={transform.rotation}
+            onChange={handleSliderChange('rotation')}
+          />
+        </label>
+      </div>
+
+      {status === 'error' && (
+        <div className="error-message">
+          <p>Error combining images. Please try again.</p>
+        </div>
+      )}
+
+      <div className="action-buttons">
+        <button className="back-button" onClick={() => navigate('/photo')} disabled={status === 'rendering'}>
+          Retake
+        </button>
+        <button
+          className="back-button"
+          onClick={() => updateTransform(framedTransform)}
+          disabled={status !== 'ready'}
+        >
+          Reset
+        </button>
+        <button className="continue-button" onClick={handleDone} disabled={status !== 'ready'}>
+          {status === 'rendering' ? 'Finishing...' : 'Done'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SubjectEditorPage;
@@ -0,0 +1,169 @@
+// Build-time configuration, overridable through VITE_* environment variables
+const env = import.meta.env;
+
+// Count or seconds from an env value; the fallback when unset or not a number >= 0
+const toNonNegative = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Used whenever no background has been picked
+export const DEFAULT_BACKGROUND_PATH = '/bg1.jpg';
+
+// Background catalog manifest (see lib/backgroundCatalog.js): a file in
+// public/ or a URL in a storage bucket, so landmarks change without a redeploy.
+// pageSize: thumbnails per page of the selection grid
+export const CATALOG_CONFIG = {
+  manifestUrl: env.VITE_BACKGROUND_CATALOG_URL || '/backgrounds.json',
+  pageSize: Number(env.VITE_BACKGROUND_PAGE_SIZE) || 8
+};
+
+// "Custom" tab in the background picker: generated colours, gradients and
+// patterns, plus guests' own images (scaled to maxSize on the long side)
+export const CUSTOM_BACKGROUND_CONFIG = {
+  enabled: env.VITE_CUSTOM_BACKGROUNDS !== 'false',
+  upload: env.VITE_CUSTOM_BACKGROUND_UPLOAD !== 'false',
+  maxSize: Number(env.VITE_PHOTO_IMPORT_MAX_SIZE) || 1920
+};
+
+// Event profiles manifest (see lib/eventProfiles.js); an empty URL runs on
+// the defaults below. ?event=<id> in the URL picks a profile and keeps it on
+// this kiosk, ?event=auto goes back to choosing by date.
+export const EVENT_CONFIG = {
+  manifestUrl: env.VITE_EVENT_PROFILES_URL ?? '/events.json',
+  urlParam: 'event'
+};
+
+// Background removal provider settings
+// provider: 'clipdrop' | 'http' | 'browser' | 'mock'
+// fallback: provider used when the primary one fails or the kiosk is offline
+export const BACKGROUND_REMOVAL_CONFIG = {
+  provider: env.VITE_BG_REMOVAL_PROVIDER || 'clipdrop',
+  fallback: env.VITE_BG_REMOVAL_FALLBACK || '',
+  clipdrop: {
+    endpoint: 'https://clipdrop-api.co/remove-background/v1',
+    // Required for the clipdrop provider
+    apiKey: env.VITE_CLIPDROP_API_KEY || ''
+  },
+  http: {
+    endpoint: env.VITE_BG_REMOVAL_ENDPOINT || '/api/remove-background',
+    fieldName: 'image_file',
+    apiKey: env.VITE_BG_REMOVAL_API_KEY || ''
+  },
+  browser: {
+    modelUrl: env.VITE_SEGMENTATION_MODEL_URL || '/models/modnet.onnx',
+    inputSize: 512,
+    mean: [0.5, 0.5, 0.5],
+    std: [0.5, 0.5, 0.5],
+    useWorker: env.VITE_SEGMENTATION_WORKER !== 'false',
+    numThreads: 1
+  },
+  mock: {
+    delayMs: 300
+  }
+};
+
+// Live composited preview on the camera screen (uses the on-device model)
+export const LIVE_PREVIEW_CONFIG = {
+  enabled: env.VITE_LIVE_PREVIEW !== 'false',
+  fps: Number(env.VITE_LIVE_PREVIEW_FPS) || 8,
+  segmenter: {
+    ...BACKGROUND_REMOVAL_CONFIG.browser,
+    // A smaller input keeps per-frame inference affordable on kiosk CPUs
+    inputSize: 256
+  }
+};
+
+// Subject placement step between processing and the result page
+export const EDITOR_CONFIG = {
+  enabled: env.VITE_PLACEMENT_EDITOR !== 'false'
+};
+
+// Frames, logos, stickers and stamps drawn over the composite (see lib/compositing/overlays.js)
+export const OVERLAY_CONFIG = {
+  manifestUrl: env.VITE_OVERLAY_MANIFEST_URL || '/overlays.json'
+};
+
+// Optional name entry between background selection and capture, and the
+// caption drawn from it. Templates take {name} and {label}; backgrounds
+// can override them with their own caption settings (or caption: false).
+export const NAME_STEP_CONFIG = {
+  enabled: env.VITE_NAME_STEP === 'true'
+};
+
+export const CAPTION_CONFIG = {
+  enabled: env.VITE_CAPTION !== 'false',
+  template: 'Greetings from {label}, {name}!',
+  anonymousTemplate: 'Greetings from {label}!'
+};
+
+// Final image encoding. format: 'jpeg' | 'png' | 'webp' | 'avif' (unsupported
+// formats fall back to jpeg); quality applies to lossy formats.
+// preset: exact pixel size from lib/compositing/presets.js ('auto' sizes from the background).
+// includeCutout also uploads the cutout alone as a transparent PNG.
+export const OUTPUT_CONFIG = {
+  preset: env.VITE_OUTPUT_PRESET || 'auto',
+  format: env.VITE_OUTPUT_FORMAT || 'jpeg',
+  quality: Number(env.VITE_OUTPUT_QUALITY) || 0.8,
+  includeCutout: env.VITE_OUTPUT_INCLUDE_CUTOUT === 'true'
+};
+
+// Short clip recording: the segmented guest over the background (or its looping
+// `video`, when a background entry has one), encoded with MediaRecorder.
+// mimeType is tried first, then MP4 and WebM (see lib/compositing/clip.js).
+export const CLIP_CONFIG = {
+  enabled: env.VITE_CLIP_MODE !== 'false',
+  durationMs: Number(env.VITE_CLIP_DURATION_MS) || 5000,
+  fps: 24,
+  mimeType: env.VITE_CLIP_MIME_TYPE || '',
+  videoBitsPerSecond: 4000000,
+  // Fraction of the photo output size; keeps per-frame work affordable on kiosk CPUs
+  scale: 2 / 3,
+  segmenter: LIVE_PREVIEW_CONFIG.segmenter
+};
+
+// Multi-shot capture laid out as a sheet (see PHOTO_LAYOUTS in lib/compositing/layouts.js).
+// layouts lists the templates offered next to single photos, in order.
+export const BURST_CONFIG = {
+  enabled: env.VITE_BURST_MODE !== 'false',
+  layouts: (env.VITE_BURST_LAYOUTS || 'strip,grid').split(',').map((layout) => layout.trim()).filter(Boolean),
+  // Countdown before each shot, in seconds (the first shot uses COUNTDOWN_CONFIG)
+  intervalSeconds: Number(env.VITE_BURST_INTERVAL_SECONDS) || 3
+};
+
+// Countdown before every capture: seconds of 3-2-1 (0 snaps immediately),
+// beeps on each number, a shutter sound and a white screen flash on capture
+export const COUNTDOWN_CONFIG = {
+  seconds: toNonNegative(env.VITE_COUNTDOWN_SECONDS, 3),
+  beep: env.VITE_COUNTDOWN_BEEP !== 'false',
+  shutterSound: env.VITE_SHUTTER_SOUND !== 'false',
+  flash: env.VITE_CAPTURE_FLASH !== 'false'
+};
+
+// Review screen between capture and background removal, so retakes do not
+// cost a removal call. maxRetakes is per guest session: it is reset when a
+// guest picks a background and when they press Home on the result screen.
+export const REVIEW_CONFIG = {
+  enabled: env.VITE_REVIEW_STEP !== 'false',
+  maxRetakes: Math.floor(toNonNegative(env.VITE_MAX_RETAKES, 3))
+};
+
+// Photo upload on the camera screen (file picker and drag-and-drop), fed into
+// the same removal and compositing pipeline as a webcam capture.
+// maxSize caps the long side so phone photos do not slow down removal.
+export const IMPORT_CONFIG = {
+  enabled: env.VITE_PHOTO_IMPORT !== 'false',
+  maxSize: Number(env.VITE_PHOTO_IMPORT_MAX_SIZE) || 1920
+};
+
+// Staff screen at /admin/backgrounds for managing the background catalog.
+// Staff sign in with a Supabase account whose app_metadata.role is staffRole;
+// the storage bucket's policies must require the same role for writes under
+// catalog/ (see README). catalogPath is where the catalog is published in the
+// bucket; point VITE_BACKGROUND_CATALOG_URL at its public URL so kiosks load it.
+export const ADMIN_CONFIG = {
+  staffRole: env.VITE_ADMIN_STAFF_ROLE || 'staff',
+  catalogPath: env.VITE_ADMIN_CATALOG_PATH || 'catalog/backgrounds.json',
+  assetFolder: 'catalog/backgrounds',
+  thumbnail: { width: 270, height: 480 }
+};
@@ -7,6 +7,10 @@ const initialState = {
   presetImage: null,
   finalImageUrl: '',
   selectedBackground: null,
+  // Retakes used on the review screen since the last confirmed capture
+  retakeCount: 0,
+  // Active event profile (see lib/eventProfiles.js), null for the defaults
+  eventProfile: null,
 };
 
 export const appSlice = createSlice({
@@ -34,9 +38,29 @@ export const appSlice = createSlice({
     clearSelectedBackground: (state) => {
       state.selectedBackground = null;
     },
+    incrementRetakeCount: (state) => {
+      state.retakeCount += 1;
+    },
+    resetRetakeCount: (state) => {
+      state.retakeCount = 0;
+    },
+    setEventProfile: (state, action) => {
+      state.eventProfile = action.payload;
+    },
   },
 });
 
-export const { setName, setPhoto, setProcessedPhoto, setPresetImage, setFinalImageUrl, setSelectedBackground, clearSelectedBackground } = appSlice.actions;
+export const {
+  setName,
+  setPhoto,
+  setProcessedPhoto,
+  setPresetImage,
+  setFinalImageUrl,
+  setSelectedBackground,
+  clearSelectedBackground,
+  incrementRetakeCount,
+  resetRetakeCount,
+  setEventProfile
+} = appSlice.actions;
 
 export default appSlice.reducer;
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadBackgroundCatalog } from '../lib/backgroundCatalog';
+
+/**
+ * Custom hook loading the background catalog manifest
+ * @param {string} manifestUrl - Catalog URL (see lib/backgroundCatalog.js)
+ * @returns {Object} - { status: 'loading' | 'ready' | 'error', backgrounds, categories, error, reload }
+ */
+export const useBackgroundCatalog = (manifestUrl) => {
+  const [state, setState] = useState({ status: 'loading', backgrounds: [], categories: [], error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((current) => ({ ...current, status: 'loading', error: null }));
+
+    loadBackgroundCatalog(manifestUrl)
+      .then(({ backgrounds, categories }) => {
+        if (!cancelled) setState({ status: 'ready', backgrounds, categories, error: null });
+      })
+      .catch((error) => {
+        console.error('Error loading background catalog:', error);
+        if (!cancelled) setState({ status: 'error', backgrounds: [], categories: [], error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [manifestUrl, attempt]);
+
+  const reload = useCallback(() => setAttempt((value) => value + 1), []);
+
+  return { ...state, reload };
+};
+
+export default useBackgroundCatalog;
@@ -0,0 +1,33 @@
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { resolveCompositingSettings } from '../lib/compositing/settings';
+import { buildCaptionLayers, buildTextValues, loadOverlays } from '../lib/compositing/overlays';
+import { DEFAULT_BACKGROUND_PATH } from '../config/appConfig';
+import { useEventConfig } from './useEventConfig';
+
+/**
+ * Custom hook gathering everything the compositor needs from the store and
+ * configuration (with the active event's overrides) for the current guest
+ * @returns {Object} - { background, backgroundSrc, settings, textValues, output, includeCutout, loadOverlayLayers }
+ */
+export const useCompositionOptions = () => {
+  const selectedBackground = useSelector((state) => state.app.selectedBackground);
+  const name = useSelector((state) => state.app.name);
+  const { output, overlay, caption } = useEventConfig();
+
+  return useMemo(() => ({
+    background: selectedBackground,
+    backgroundSrc: selectedBackground?.src || DEFAULT_BACKGROUND_PATH,
+    settings: resolveCompositingSettings(selectedBackground),
+    textValues: buildTextValues({ label: selectedBackground?.label || '', name: name.trim() }),
+    output: { format: output.format, quality: output.quality, preset: output.preset },
+    includeCutout: output.includeCutout,
+    // Manifest overlays, the background's own overlays and the caption
+    loadOverlayLayers: async () => [
+      ...(await loadOverlays(overlay.manifestUrl, selectedBackground)),
+      ...buildCaptionLayers(selectedBackground, name, caption)
+    ]
+  }), [selectedBackground, name, output, overlay, caption]);
+};
+
+export default useCompositionOptions;
@@ -0,0 +1,49 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+/**
+ * Custom hook for on-screen countdowns before a capture
+ * @param {Object} options
+ * @param {Function} options.onTick - Called with each number as it is shown, e.g. to beep
+ * @returns {Object} - { count, start }; count is the number to show (null
+ * when idle) and start(seconds) resolves once the countdown reaches zero
+ */
+export const useCountdown = ({ onTick } = {}) => {
+  const [count, setCount] = useState(null);
+  const timerRef = useRef(null);
+  const onTickRef = useRef(onTick);
+  onTickRef.current = onTick;
+
+  const start = useCallback((seconds) => new Promise((resolve) => {
+    const show = (value) => {
+      setCount(value);
+      onTickRef.current?.(value);
+    };
+
+    let remaining = Math.ceil(seconds);
+    // Also catches NaN, which would otherwise count down forever
+    if (!(remaining > 0)) {
+      resolve();
+      return;
+    }
+
+    const tick = () => {
+      remaining -= 1;
+      if (remaining <= 0) {
+        setCount(null);
+        resolve();
+        return;
+      }
+      show(remaining);
+      timerRef.current = setTimeout(tick, 1000);
+    };
+
+    show(remaining);
+    timerRef.current = setTimeout(tick, 1000);
+  }), []);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return { count, start };
+};
+
+export default useCountdown;
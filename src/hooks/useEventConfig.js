@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { applyEventProfile } from '../lib/eventProfiles';
+import {
+  BURST_CONFIG,
+  CAPTION_CONFIG,
+  CLIP_CONFIG,
+  COUNTDOWN_CONFIG,
+  CUSTOM_BACKGROUND_CONFIG,
+  EDITOR_CONFIG,
+  IMPORT_CONFIG,
+  NAME_STEP_CONFIG,
+  OUTPUT_CONFIG,
+  OVERLAY_CONFIG,
+  REVIEW_CONFIG
+} from '../config/appConfig';
+
+/**
+ * Custom hook returning the flow, output and branding configuration with the
+ * active event profile's overrides applied
+ * @returns {Object} - { profile, nameStep, review, editor, burst, clip, import,
+ *   customBackgrounds, countdown, output, overlay, caption }
+ */
+export const useEventConfig = () => {
+  const profile = useSelector((state) => state.app.eventProfile);
+
+  return useMemo(() => ({
+    profile,
+    ...applyEventProfile(
+      {
+        nameStep: NAME_STEP_CONFIG,
+        review: REVIEW_CONFIG,
+        editor: EDITOR_CONFIG,
+        burst: BURST_CONFIG,
+        clip: CLIP_CONFIG,
+        import: IMPORT_CONFIG,
+        customBackgrounds: CUSTOM_BACKGROUND_CONFIG,
+        countdown: COUNTDOWN_CONFIG,
+        output: OUTPUT_CONFIG,
+        overlay: OVERLAY_CONFIG,
+        caption: CAPTION_CONFIG
+      },
+      profile
+    )
+  }), [profile]);
+};
+
+export default useEventConfig;
@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setEventProfile } from '../features/appSlice';
+import {
+  applyEventTheme,
+  loadChosenEventId,
+  loadEventProfiles,
+  saveChosenEventId,
+  selectEventProfile
+} from '../lib/eventProfiles';
+import { EVENT_CONFIG } from '../config/appConfig';
+
+/**
+ * Custom hook choosing the event profile at startup - from the URL, the
+ * operator's saved choice or today's date - and applying its branding
+ */
+export const useEventProfileLoader = () => {
+  const dispatch = useDispatch();
+  const profile = useSelector((state) => state.app.eventProfile);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // A profile named in the URL sticks, so navigating inside the app keeps it
+    const requested = new URLSearchParams(window.location.search).get(EVENT_CONFIG.urlParam);
+    if (requested !== null) {
+      saveChosenEventId(requested === 'auto' ? '' : requested);
+    }
+
+    loadEventProfiles(EVENT_CONFIG.manifestUrl).then(({ profiles }) => {
+      if (!cancelled) {
+        dispatch(setEventProfile(selectEventProfile(profiles, { requestedId: loadChosenEventId() })));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch]);
+
+  useEffect(() => {
+    applyEventTheme(profile);
+  }, [profile]);
+};
+
+export default useEventProfileLoader;
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { getSharedSegmenter } from '../lib/segmentation/sharedSegmenter';
+import { applyMask } from '../lib/segmentation/applyMask';
+import { DEFAULT_FOCAL_POINT, computeFitRect } from '../lib/compositing/fit';
+import { loadBackgroundSource } from '../lib/compositing/clip';
+import { needsFrameTransform, transformFrame } from '../lib/camera';
+
+/**
+ * Custom hook that renders the webcam feed composited over a background
+ * into a canvas, using the on-device segmentation model
+ * @param {Object} params
+ * @param {Object} params.webcamRef - Ref to the react-webcam instance
+ * @param {Object} params.canvasRef - Ref to the preview canvas
+ * @param {string} params.backgroundSrc - Background image to pose against
+ * @param {string} params.backgroundVideoSrc - Optional looping video played instead of the image
+ * @param {Object} params.focalPoint - Background point kept in frame when cropping (default: centre)
+ * @param {Object} params.cameraTransform - { rotation, mirrored } applied to camera frames (see lib/camera.js)
+ * @param {boolean} params.enabled - Pause the preview when false
+ * @param {number} params.fps - Target preview frame rate (default: 8)
+ * @param {Object} params.segmenterOptions - Options for createOnnxSegmenter; keep the object stable
+ * @returns {Object} - { status, isActive }
+ */
+export const useLiveBackgroundPreview = ({
+  webcamRef,
+  canvasRef,
+  backgroundSrc,
+  backgroundVideoSrc,
+  focalPoint = DEFAULT_FOCAL_POINT,
+  cameraTransform,
+  enabled = true,
+  fps = 8,
+  segmenterOptions
+}) => {
+  // 'idle' | 'loading' | 'running' | 'error'
+  const [status, setStatus] = useState('idle');
+  const { x: focalX, y: focalY } = focalPoint;
+  const rotation = cameraTransform?.rotation || 0;
+  const mirrored = Boolean(cameraTransform?.mirrored);
+
+  useEffect(() => {
+    if (!enabled || !backgroundSrc || !segmenterOptions) {
+      setStatus('idle');
+      return;
+    }
+
+    let cancelled = false;
+    let timer = null;
+    let background = null;
+    const segmenter = getSharedSegmenter(segmenterOptions);
+    const frameInterval = 1000 / fps;
+    const fit = { mode: 'cover', focalPoint: { x: focalX, y: focalY } };
+    const transform = { rotation, mirrored };
+    const frameCanvas = needsFrameTransform(transform) ? document.createElement('canvas') : null;
+
+    const renderFrame = async () => {
+      const video = webcamRef.current?.video;
+      const canvas = canvasRef.current;
+      if (!video || !canvas || video.readyState < 2) return;
+
+      // Upright (and mirrored) frame for portrait-mounted or mirrored cameras
+      const frame = frameCanvas ? transformFrame(video, transform, frameCanvas) : video;
+      const frameWidth = frame.videoWidth || frame.width;
+      const frameHeight = frame.videoHeight || frame.height;
+
+      const mask = await segmenter.segment(frame);
+      if (cancelled) return;
+
+      if (canvas.width !== frameWidth || canvas.height !== frameHeight) {
+        canvas.width = frameWidth;
+        canvas.height = frameHeight;
+      }
+
+      const ctx = canvas.getContext('2d');
+      const rect = computeFitRect(background.width, background.height, canvas.width, canvas.height, fit);
+      ctx.drawImage(background, rect.x, rect.y, rect.width, rect.height);
+      ctx.drawImage(applyMask(frame, mask), 0, 0, canvas.width, canvas.height);
+    };
+
+    // Schedule the next frame after the current one finishes so slow
+    // devices drop frames instead of queueing inference calls
+    const loop = async () => {
+      const startedAt = performance.now();
+      try {
+        await renderFrame();
+      } catch (error) {
+        if (!cancelled) {
+          console.warn('Live preview stopped:', error);
+          setStatus('error');
+        }
+        return;
+      }
+      if (cancelled) return;
+      timer = setTimeout(loop, Math.max(0, frameInterval - (performance.now() - startedAt)));
+    };
+
+    setStatus('loading');
+    Promise.all([loadBackgroundSource(backgroundSrc, backgroundVideoSrc), segmenter.load()])
+      .then(([source]) => {
+        if (cancelled) {
+          source.pause?.();
+          return;
+        }
+        background = source;
+        setStatus('running');
+        loop();
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          console.warn('Live preview unavailable:', error);
+          setStatus('error');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      background?.pause?.();
+    };
+  }, [webcamRef, canvasRef, backgroundSrc, backgroundVideoSrc, focalX, focalY, rotation, mirrored, enabled, fps, segmenterOptions]);
+
+  return {
+    status,
+    isActive: status === 'running'
+  };
+};
+
+export default useLiveBackgroundPreview;
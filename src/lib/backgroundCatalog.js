@@ -0,0 +1,223 @@
+import { validateOverlayLayer } from './compositing/overlays';
+import { DEFAULT_COMPOSITING_SETTINGS } from './compositing/settings';
+
+/*
+ * The background catalog is a JSON manifest, e.g. public/backgrounds.json:
+ *   { "version": 1, "backgrounds": [
+ *     { "id": "bg2", "src": "/bg2.jpg", "label": "Taj Mahal", "category": "Monuments",
+ *       "tags": ["agra"], "thumbnail": "/thumbs/bg2.jpg", "video": "/bg2.mp4",
+ *       "enabled": true, "fit": { ... }, "placement": { ... }, "caption": { ... } }
+ *   ] }
+ * id, src and label are required. thumbnail (defaults to src) is what the
+ * selection grid shows; enabled: false keeps an entry in the file without
+ * offering it. Compositing sections (see lib/compositing/settings.js),
+ * caption and overlays are passed through to the compositor. Relative asset
+ * paths resolve against the manifest's URL, so a catalog and its images can
+ * live together in a storage bucket.
+ */
+
+export const CATALOG_VERSION = 1;
+
+const ASSET_FIELDS = ['src', 'thumbnail', 'video'];
+const OPTIONAL_STRING_FIELDS = ['thumbnail', 'video', 'category'];
+const SETTINGS_SECTIONS = Object.keys(DEFAULT_COMPOSITING_SETTINGS);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Checks a background entry
+ * @param {Object} entry - Background definition
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateBackgroundEntry = (entry) => {
+  if (!isObject(entry)) return 'entry must be an object';
+  for (const field of ['id', 'src', 'label']) {
+    if (!isNonEmptyString(entry[field])) return `"${field}" must be a non-empty string`;
+  }
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    if (entry[field] !== undefined && !isNonEmptyString(entry[field])) return `"${field}" must be a non-empty string`;
+  }
+  if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(isNonEmptyString))) {
+    return '"tags" must be a list of strings';
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') return '"enabled" must be true or false';
+  for (const section of SETTINGS_SECTIONS) {
+    if (entry[section] !== undefined && !isObject(entry[section])) return `"${section}" must be an object`;
+  }
+  if (entry.caption !== undefined && entry.caption !== false && !isObject(entry.caption)) {
+    return '"caption" must be an object or false';
+  }
+  if (entry.overlays !== undefined) {
+    if (!Array.isArray(entry.overlays)) return '"overlays" must be a list';
+    const problem = entry.overlays.map(validateOverlayLayer).find(Boolean);
+    if (problem) return `overlay: ${problem}`;
+  }
+  return null;
+};
+
+/**
+ * Checks a whole catalog manifest
+ * @param {Object} manifest - Parsed JSON
+ * @returns {string[]} Problems found, empty when the catalog is valid
+ */
+export const validateCatalog = (manifest) => {
+  if (!isObject(manifest)) return ['manifest must be a JSON object'];
+  if (manifest.version !== undefined && manifest.version !== CATALOG_VERSION) {
+    return [`unsupported catalog version ${manifest.version}`];
+  }
+  if (!Array.isArray(manifest.backgrounds)) return ['"backgrounds" must be a list'];
+
+  const problems = [];
+  const ids = new Set();
+  manifest.backgrounds.forEach((entry, index) => {
+    const problem = validateBackgroundEntry(entry);
+    if (problem) {
+      problems.push(`background ${index}${isNonEmptyString(entry?.id) ? ` (${entry.id})` : ''}: ${problem}`);
+      return;
+    }
+    if (ids.has(entry.id)) problems.push(`background ${index}: duplicate id "${entry.id}"`);
+    ids.add(entry.id);
+  });
+
+  if (problems.length === 0 && !manifest.backgrounds.some((entry) => entry.enabled !== false)) {
+    problems.push('no enabled backgrounds');
+  }
+  return problems;
+};
+
+/**
+ * Resolves an entry's relative asset paths against the manifest URL
+ * @param {Object} entry - Valid background entry
+ * @param {string} baseUrl - Absolute manifest URL
+ * @returns {Object} Entry with absolute src, thumbnail and video
+ */
+export const resolveCatalogAssets = (entry, baseUrl) => {
+  const resolved = { ...entry };
+  for (const field of ASSET_FIELDS) {
+    // Root-relative and absolute paths stay as written
+    if (resolved[field] && !/^(\/|[a-z][a-z0-9+.-]*:)/i.test(resolved[field])) {
+      resolved[field] = new URL(resolved[field], baseUrl).href;
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Categories in catalog order
+ * @param {Object[]} backgrounds - Background entries
+ * @returns {string[]} Distinct category names
+ */
+export const listCategories = (backgrounds) => [
+  ...new Set(backgrounds.map((background) => background.category).filter(Boolean))
+];
+
+// Lower case without accents, so 'cafe' finds 'Café'
+const normalizeSearchText = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Backgrounds in a category whose label, category or tags contain every word
+ * of a search query
+ * @param {Object[]} backgrounds - Background entries
+ * @param {Object} filter - { category (null for all), query }
+ * @returns {Object[]} Matching backgrounds in catalog order
+ */
+export const filterBackgrounds = (backgrounds, { category = null, query = '' } = {}) => {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  return backgrounds.filter((background) => {
+    if (category && background.category !== category) return false;
+    if (words.length === 0) return true;
+
+    const text = normalizeSearchText(
+      [background.label, background.category, ...(background.tags || [])].filter(Boolean).join(' ')
+    );
+    return words.every((word) => text.includes(word));
+  });
+};
+
+/**
+ * One page of a list
+ * @param {Array} items - Whole list
+ * @param {number} page - Requested page, clamped to the pages there are
+ * @param {number} pageSize - Items per page
+ * @returns {Object} - { items, page, pageCount }
+ */
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  return { items: items.slice(current * pageSize, (current + 1) * pageSize), page: current, pageCount };
+};
+
+/**
+ * Fetches and validates a catalog manifest, disabled entries included
+ * @param {string} url - Manifest URL
+ * @param {Object} init - fetch options, e.g. { cache: 'no-store' } to skip caches
+ * @returns {Promise<Object>} The manifest; rejects with the problems when invalid
+ */
+export const fetchCatalogManifest = async (url, init) => {
+  const response = await fetch(url, init);
+  if (!response.ok) throw new Error(`Background catalog unavailable (${response.status})`);
+
+  const manifest = await response.json().catch(() => {
+    throw new Error('Background catalog is not valid JSON');
+  });
+  const problems = validateCatalog(manifest);
+  if (problems.length > 0) {
+    throw new Error(`Background catalog is invalid: ${problems.join('; ')}`);
+  }
+  return manifest;
+};
+
+// Kiosks keep running for a whole event, so a cached catalog is fetched again
+// once it is this old (the published file's own cache lifetime is a minute too)
+export const CATALOG_MAX_AGE = 60 * 1000;
+
+// url -> { request, loadedAt }; loadedAt is null while the request is pending
+const catalogCache = new Map();
+
+const toCatalog = (manifest, url) => {
+  const baseUrl = new URL(url, window.location.href).href;
+  const backgrounds = manifest.backgrounds
+    .filter((entry) => entry.enabled !== false)
+    .map((entry) => resolveCatalogAssets(entry, baseUrl));
+  return { backgrounds, categories: listCategories(backgrounds) };
+};
+
+/**
+ * Loads and validates the background catalog. Unlike overlays, an invalid
+ * catalog is an error: the booth cannot run without backgrounds. A catalog
+ * older than maxAge is fetched again; if that fails the last one is kept.
+ * @param {string} url - Manifest URL
+ * @param {Object} options - { maxAge (ms) }
+ * @returns {Promise<Object>} - { backgrounds, categories } with only enabled backgrounds
+ */
+export const loadBackgroundCatalog = (url, { maxAge = CATALOG_MAX_AGE } = {}) => {
+  const cached = catalogCache.get(url);
+  if (cached && (cached.loadedAt === null || Date.now() - cached.loadedAt < maxAge)) {
+    return cached.request;
+  }
+
+  const entry = { request: null, loadedAt: null };
+  entry.request = fetchCatalogManifest(url)
+    .then((manifest) => {
+      entry.loadedAt = Date.now();
+      return toCatalog(manifest, url);
+    })
+    .catch((error) => {
+      if (cached) {
+        console.warn('Could not refresh the background catalog, keeping the last one:', error);
+        catalogCache.set(url, cached);
+        return cached.request;
+      }
+      // Let the next attempt fetch again
+      catalogCache.delete(url);
+      throw error;
+    });
+  catalogCache.set(url, entry);
+
+  return entry.request;
+};
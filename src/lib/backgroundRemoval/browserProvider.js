@@ -0,0 +1,22 @@
+import { loadImage } from '../imageUtils';
+import { createOnnxSegmenter } from '../segmentation/onnxSegmenter';
+import { applyMask } from '../segmentation/applyMask';
+
+/**
+ * In-browser background removal with an ONNX segmentation model
+ * @param {Object} options - Segmenter options (see createOnnxSegmenter)
+ * @returns {Object} Provider - { name, removeBackground, preload }
+ */
+export const createBrowserProvider = (options) => {
+  const segmenter = createOnnxSegmenter(options);
+
+  const removeBackground = async (imageSrc) => {
+    const image = await loadImage(imageSrc);
+    const mask = await segmenter.segment(image);
+    return applyMask(image, mask).toDataURL('image/png');
+  };
+
+  return { name: 'browser', removeBackground, preload: segmenter.load };
+};
+
+export default createBrowserProvider;
@@ -0,0 +1,35 @@
+import { dataURLtoBlob, arrayBufferToBase64 } from '../imageUtils';
+
+/**
+ * Background removal through the ClipDrop remove-background API. Without an
+ * API key every call fails, so a configured fallback provider takes over.
+ * @param {Object} options - { endpoint, apiKey }
+ * @returns {Object} Provider - { name, removeBackground }
+ */
+export const createClipdropProvider = ({ endpoint, apiKey }) => {
+  const removeBackground = async (imageSrc) => {
+    if (!apiKey) {
+      throw new Error('ClipDrop API key is not configured (set VITE_CLIPDROP_API_KEY)');
+    }
+
+    const formData = new FormData();
+    formData.append('image_file', dataURLtoBlob(imageSrc));
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+      },
+      body: formData,
+    });
+
+    if (!response.ok) throw new Error(`API error: ${response.status}`);
+
+    const buffer = await response.arrayBuffer();
+    return `data:image/png;base64,${arrayBufferToBase64(buffer)}`;
+  };
+
+  return { name: 'clipdrop', removeBackground };
+};
+
+export default createClipdropProvider;
@@ -0,0 +1,29 @@
+/**
+ * Wraps a primary provider so that failures (or a known-offline browser)
+ * are retried with a fallback provider, typically the on-device model
+ * @param {Object} primary - Provider tried first
+ * @param {Object} fallback - Provider used when the primary fails
+ * @returns {Object} Provider - { name, removeBackground, preload }
+ */
+export const createFallbackProvider = (primary, fallback) => {
+  const removeBackground = async (imageSrc) => {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      console.warn(`Offline, using ${fallback.name} background removal`);
+      return fallback.removeBackground(imageSrc);
+    }
+
+    try {
+      return await primary.removeBackground(imageSrc);
+    } catch (error) {
+      console.warn(`${primary.name} background removal failed, falling back to ${fallback.name}:`, error);
+      return fallback.removeBackground(imageSrc);
+    }
+  };
+
+  const preload = () =>
+    Promise.all([primary.preload?.(), fallback.preload?.()]);
+
+  return { name: `${primary.name}+${fallback.name}`, removeBackground, preload };
+};
+
+export default createFallbackProvider;
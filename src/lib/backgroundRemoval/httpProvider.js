@@ -0,0 +1,40 @@
+import { dataURLtoBlob, arrayBufferToBase64 } from '../imageUtils';
+
+/**
+ * Background removal through a self-hosted HTTP endpoint.
+ * The endpoint receives the capture as multipart form data and must answer
+ * with a PNG whose alpha channel holds the cutout.
+ * @param {Object} options - { endpoint, fieldName, apiKey }
+ * @returns {Object} Provider - { name, removeBackground }
+ */
+export const createHttpProvider = ({ endpoint, fieldName = 'image_file', apiKey = '' }) => {
+  const removeBackground = async (imageSrc) => {
+    const formData = new FormData();
+    formData.append(fieldName, dataURLtoBlob(imageSrc));
+
+    const headers = {};
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: formData,
+    });
+
+    if (!response.ok) throw new Error(`API error: ${response.status}`);
+
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (contentType && !contentType.startsWith('image/png')) {
+      throw new Error(`Unexpected response type: ${contentType}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    return `data:image/png;base64,${arrayBufferToBase64(buffer)}`;
+  };
+
+  return { name: 'http', removeBackground };
+};
+
+export default createHttpProvider;
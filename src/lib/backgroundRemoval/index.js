@@ -0,0 +1,76 @@
+import { createClipdropProvider } from './clipdropProvider';
+import { createHttpProvider } from './httpProvider';
+import { createBrowserProvider } from './browserProvider';
+import { createMockProvider } from './mockProvider';
+import { createFallbackProvider } from './fallbackProvider';
+
+/*
+ * A background removal provider is a plain object:
+ *   { name: string, removeBackground: (imageSrc) => Promise<string> }
+ * removeBackground receives the capture as a data URL and resolves with a
+ * PNG data URL of the cutout, transparent wherever the background was.
+ */
+
+const PROVIDER_FACTORIES = {
+  clipdrop: createClipdropProvider,
+  http: createHttpProvider,
+  browser: createBrowserProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Registers an additional provider factory
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - (options) => provider
+ */
+export const registerBackgroundRemovalProvider = (name, factory) => {
+  PROVIDER_FACTORIES[name] = factory;
+};
+
+/**
+ * Creates a provider by name
+ * @param {string} name - Registered provider name
+ * @param {Object} options - Provider specific options
+ * @returns {Object} Provider - { name, removeBackground }
+ */
+export const createBackgroundRemovalProvider = (name, options = {}) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown background removal provider: ${name}`);
+  }
+  return factory(options);
+};
+
+let cachedConfig = null;
+let cachedProvider = null;
+
+/**
+ * Returns the provider selected by a configuration object, reusing the
+ * instance while the configuration does not change
+ * @param {Object} config - { provider, fallback, [providerName]: options }
+ * @returns {Object} Provider - { name, removeBackground }
+ */
+export const getBackgroundRemovalProvider = (config) => {
+  if (config !== cachedConfig) {
+    const primary = createBackgroundRemovalProvider(config.provider, config[config.provider]);
+    cachedProvider =
+      config.fallback && config.fallback !== config.provider
+        ? createFallbackProvider(primary, createBackgroundRemovalProvider(config.fallback, config[config.fallback]))
+        : primary;
+    cachedConfig = config;
+  }
+  return cachedProvider;
+};
+
+/**
+ * Downloads whatever the configured providers need ahead of the first
+ * capture (e.g. the on-device model), so they work once the network is gone
+ * @param {Object} config - Background removal configuration
+ * @returns {Promise<void>}
+ */
+export const preloadBackgroundRemoval = async (config) => {
+  const provider = getBackgroundRemovalProvider(config);
+  if (provider.preload) {
+    await provider.preload();
+  }
+};
@@ -0,0 +1,44 @@
+import { loadImage, createCanvas } from '../imageUtils';
+
+/**
+ * Deterministic, network-free provider for tests and offline demos.
+ * Keeps an ellipse around the centre of the frame (roughly where a guest
+ * stands) and makes everything else transparent.
+ * @param {Object} options - { delayMs, result }
+ *   result: fixed data URL to return instead of masking the input
+ * @returns {Object} Provider - { name, removeBackground }
+ */
+export const createMockProvider = ({ delayMs = 0, result = null } = {}) => {
+  const removeBackground = async (imageSrc) => {
+    if (delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    if (result) return result;
+
+    const image = await loadImage(imageSrc);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.beginPath();
+    ctx.ellipse(
+      canvas.width / 2,
+      canvas.height * 0.55,
+      canvas.width * 0.3,
+      canvas.height * 0.45,
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+    ctx.globalCompositeOperation = 'source-over';
+
+    return canvas.toDataURL('image/png');
+  };
+
+  return { name: 'mock', removeBackground };
+};
+
+export default createMockProvider;
@@ -0,0 +1,160 @@
+import { loadImage, createCanvas } from './imageUtils';
+
+// Capture resolutions offered to the operator; browsers pick the closest the camera supports
+export const CAMERA_RESOLUTIONS = {
+  '720p': { label: '1280 × 720', width: 1280, height: 720 },
+  '1080p': { label: '1920 × 1080', width: 1920, height: 1080 },
+  '4k': { label: '3840 × 2160', width: 3840, height: 2160 }
+};
+
+export const CAMERA_ROTATIONS = [0, 90, 180, 270];
+
+// deviceId '' uses the browser's default front camera. rotation turns the
+// frames of portrait-mounted cameras upright; mirrored flips them like a mirror.
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: '',
+  resolution: '1080p',
+  mirrored: false,
+  rotation: 0
+};
+
+const STORAGE_KEY = 'booth.cameraSettings';
+
+/**
+ * Reads the operator's camera settings saved on this kiosk
+ * @returns {Object} Settings merged over DEFAULT_CAMERA_SETTINGS
+ */
+export const loadCameraSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Ignoring unreadable camera settings:', error);
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+};
+
+/**
+ * Persists camera settings across reloads
+ * @param {Object} settings - Camera settings
+ */
+export const saveCameraSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...DEFAULT_CAMERA_SETTINGS, ...settings }));
+};
+
+/**
+ * getUserMedia video constraints for camera settings
+ * @param {Object} settings - Camera settings
+ * @returns {Object} MediaTrackConstraints
+ */
+export const buildVideoConstraints = (settings = DEFAULT_CAMERA_SETTINGS) => {
+  const resolution = CAMERA_RESOLUTIONS[settings.resolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+  const constraints = {
+    width: { ideal: resolution.width },
+    height: { ideal: resolution.height },
+    aspectRatio: { ideal: resolution.width / resolution.height }
+  };
+
+  if (settings.deviceId) {
+    constraints.deviceId = { exact: settings.deviceId };
+  } else {
+    constraints.facingMode = 'user';
+  }
+  return constraints;
+};
+
+/**
+ * Lists the video inputs; labels are only filled in once camera permission
+ * has been granted
+ * @returns {Promise<Object[]>} - [{ deviceId, label }]
+ */
+export const listCameras = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${index + 1}`
+    }));
+};
+
+/**
+ * Whether frames need rotating or flipping at all
+ * @param {Object} settings - Camera settings
+ * @returns {boolean}
+ */
+export const needsFrameTransform = (settings) =>
+  Boolean(settings && (settings.mirrored || (settings.rotation || 0) % 360 !== 0));
+
+/**
+ * Draws a camera frame upright (and mirrored when set)
+ * @param {CanvasImageSource} source - Video element, image or canvas
+ * @param {Object} settings - { rotation, mirrored }
+ * @param {HTMLCanvasElement} canvas - Canvas to reuse (default: a new one)
+ * @returns {HTMLCanvasElement} The transformed frame
+ */
+export const transformFrame = (source, { rotation = 0, mirrored = false }, canvas = createCanvas(1, 1)) => {
+  const width = source.videoWidth || source.width;
+  const height = source.videoHeight || source.height;
+  const sideways = rotation % 180 !== 0;
+  const targetWidth = sideways ? height : width;
+  const targetHeight = sideways ? width : height;
+
+  if (canvas.width !== targetWidth || canvas.height !== targetHeight) {
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.translate(targetWidth / 2, targetHeight / 2);
+  if (mirrored) {
+    ctx.scale(-1, 1);
+  }
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+  ctx.restore();
+
+  return canvas;
+};
+
+/**
+ * Applies the camera settings to a captured screenshot
+ * @param {string} dataURL - Screenshot as taken from the webcam
+ * @param {Object} settings - Camera settings
+ * @returns {Promise<string>} Upright JPEG data URL (the input when nothing changes)
+ */
+export const transformCapture = async (dataURL, settings) => {
+  if (!needsFrameTransform(settings)) return dataURL;
+
+  const image = await loadImage(dataURL);
+  return transformFrame(image, settings).toDataURL('image/jpeg', 0.92);
+};
+
+/**
+ * CSS for showing the raw camera element the way frames will be captured
+ * @param {Object} settings - Camera settings
+ * @returns {Object} Style overrides for the video element
+ */
+export const getCameraDisplayStyle = ({ rotation = 0, mirrored = false } = {}) => {
+  if (!needsFrameTransform({ rotation, mirrored })) return {};
+
+  const sideways = rotation % 180 !== 0;
+  return {
+    // Sideways video is laid out with swapped viewport sides so it still fills the screen once rotated
+    ...(sideways && {
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      width: '100vh',
+      height: '100vw'
+    }),
+    transform: [
+      sideways ? 'translate(-50%, -50%)' : '',
+      mirrored ? 'scaleX(-1)' : '',
+      `rotate(${rotation}deg)`
+    ].join(' ').trim()
+  };
+};
@@ -0,0 +1,68 @@
+// Countdown beeps and a shutter click, synthesised with the Web Audio API so
+// no sound files have to be shipped or cached
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+  }
+  // Kiosk browsers start the context suspended until the first user gesture
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+  return audioContext;
+};
+
+/**
+ * Plays a short sine beep; does nothing where Web Audio is unavailable
+ * @param {Object} options
+ * @param {number} options.frequency - Pitch in Hz (default: 880)
+ * @param {number} options.durationMs - Length (default: 150ms)
+ * @param {number} options.volume - Gain in [0, 1] (default: 0.3)
+ */
+export const playBeep = ({ frequency = 880, durationMs = 150, volume = 0.3 } = {}) => {
+  const ctx = getAudioContext();
+  if (!ctx) return;
+
+  const now = ctx.currentTime;
+  const end = now + durationMs / 1000;
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(frequency, now);
+  gain.gain.setValueAtTime(volume, now);
+  gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+  oscillator.connect(gain).connect(ctx.destination);
+  oscillator.start(now);
+  oscillator.stop(end);
+};
+
+/**
+ * Plays a camera shutter click: a burst of decaying noise
+ * @param {Object} options
+ * @param {number} options.volume - Gain in [0, 1] (default: 0.5)
+ */
+export const playShutter = ({ volume = 0.5 } = {}) => {
+  const ctx = getAudioContext();
+  if (!ctx) return;
+
+  const length = Math.floor(ctx.sampleRate * 0.12);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const samples = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    samples[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+  }
+
+  const source = ctx.createBufferSource();
+  const gain = ctx.createGain();
+  source.buffer = buffer;
+  gain.gain.value = volume;
+  source.connect(gain).connect(ctx.destination);
+  source.start();
+};
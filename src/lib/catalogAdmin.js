@@ -0,0 +1,154 @@
+import { loadImage, createCanvas, blobToDataURL, dataURLtoBlob } from './imageUtils';
+import { computeFitRect } from './compositing/fit';
+import { uploadBlob, removeFiles, getStoragePath } from './imageStorage';
+import { CATALOG_VERSION, validateCatalog } from './backgroundCatalog';
+
+const ASSET_FIELDS = ['src', 'thumbnail', 'video'];
+
+/**
+ * Turns a label into an id-safe slug
+ * @param {string} text - e.g. 'Taj Mahal (night)'
+ * @returns {string} e.g. 'taj-mahal-night'
+ */
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'background';
+
+/**
+ * Readable label from an uploaded file name
+ * @param {string} fileName - e.g. 'gateway_of-india.jpg'
+ * @returns {string} e.g. 'Gateway Of India'
+ */
+export const labelFromFileName = (fileName) =>
+  fileName
+    .replace(/\.[^.]+$/, '')
+    .replace(/[-_]+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, (letter) => letter.toUpperCase()) || 'Background';
+
+/**
+ * An id not used yet, numbering the base when it is taken
+ * @param {string} base - Preferred id
+ * @param {Set<string>} taken - Ids already in the catalog
+ * @returns {string} Unique id
+ */
+export const uniqueId = (base, taken) => {
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+/**
+ * Moves a list item by an offset, e.g. -1 for one place up
+ * @param {Array} list - Items
+ * @param {number} index - Item to move
+ * @param {number} offset - Places to move it
+ * @returns {Array} New list (the same list when the move is out of range)
+ */
+export const moveEntry = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+
+  const moved = [...list];
+  const [entry] = moved.splice(index, 1);
+  moved.splice(target, 0, entry);
+  return moved;
+};
+
+/**
+ * Renders a small cover-fitted copy for the selection grid
+ * @param {CanvasImageSource} image - Full size background
+ * @param {Object} size - { width, height, quality }
+ * @returns {string} JPEG data URL
+ */
+export const createThumbnail = (image, { width, height, quality = 0.8 }) => {
+  const canvas = createCanvas(width, height);
+  const rect = computeFitRect(image.width, image.height, width, height, { mode: 'cover' });
+  canvas.getContext('2d').drawImage(image, rect.x, rect.y, rect.width, rect.height);
+  return canvas.toDataURL('image/jpeg', quality);
+};
+
+/**
+ * Uploads a background image and its thumbnail to storage. File names carry
+ * a timestamp so kiosks never show a cached copy of a replaced image.
+ * @param {File} file - Image picked by staff
+ * @param {Object} options - { folder, id, thumbnail: { width, height } }
+ * @returns {Promise<Object>} - { src, thumbnail } public URLs
+ */
+export const uploadBackgroundImage = async (file, { folder, id, thumbnail }) => {
+  if (!file.type.startsWith('image/')) {
+    throw new Error(`${file.name} is not an image`);
+  }
+
+  const image = await loadImage(await blobToDataURL(file));
+  const extension = (file.name.match(/\.([a-z0-9]+)$/i)?.[1] || 'jpg').toLowerCase();
+  const baseName = `${folder}/${id}-${Date.now()}`;
+
+  const [src, thumbnailUrl] = await Promise.all([
+    uploadBlob(file, `${baseName}.${extension}`, { contentType: file.type }),
+    uploadBlob(dataURLtoBlob(createThumbnail(image, thumbnail)), `${baseName}-thumb.jpg`, {
+      contentType: 'image/jpeg'
+    })
+  ]);
+  return { src, thumbnail: thumbnailUrl };
+};
+
+/**
+ * Wraps background entries in a catalog manifest
+ * @param {Object[]} backgrounds - Entries in display order
+ * @returns {Object} Manifest (see lib/backgroundCatalog.js)
+ */
+export const buildCatalog = (backgrounds) => ({ version: CATALOG_VERSION, backgrounds });
+
+/**
+ * Validates and uploads the catalog, replacing the published one
+ * @param {Object[]} backgrounds - Entries in display order
+ * @param {string} path - Catalog path in the storage bucket
+ * @returns {Promise<string>} Public URL of the catalog
+ */
+export const publishCatalog = async (backgrounds, path) => {
+  const manifest = buildCatalog(backgrounds);
+  const problems = validateCatalog(manifest);
+  if (problems.length > 0) {
+    throw new Error(`Catalog not published: ${problems.join('; ')}`);
+  }
+
+  const blob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+  // Short cache lifetime: kiosks fetch the catalog again when it is a minute
+  // old (see loadBackgroundCatalog), so changes show up within about two
+  return uploadBlob(blob, path, { contentType: 'application/json', upsert: true, cacheControl: '60' });
+};
+
+/**
+ * Storage paths of uploaded files that the published catalog used and the
+ * new one no longer does
+ * @param {Object[]} before - Previously published entries
+ * @param {Object[]} after - Newly published entries
+ * @returns {string[]} Paths inside the storage bucket
+ */
+export const findRemovedAssets = (before, after) => {
+  const assetPaths = (entries) =>
+    entries.flatMap((entry) => ASSET_FIELDS.map((field) => getStoragePath(entry[field])).filter(Boolean));
+  const kept = new Set(assetPaths(after));
+  return [...new Set(assetPaths(before))].filter((path) => !kept.has(path));
+};
+
+/**
+ * Deletes files of backgrounds removed from the catalog. Failures only leave
+ * unused files behind, so they are logged rather than thrown.
+ * @param {Object[]} before - Previously published entries
+ * @param {Object[]} after - Newly published entries
+ */
+export const removeUnusedAssets = async (before, after) => {
+  try {
+    await removeFiles(findRemovedAssets(before, after));
+  } catch (error) {
+    console.warn('Could not delete removed background files:', error);
+  }
+};
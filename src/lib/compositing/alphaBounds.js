@@ -0,0 +1,69 @@
+import { createCanvas } from '../imageUtils';
+
+// Bounds are measured on a downscaled copy; a few pixels of error is fine
+const BOUNDS_SAMPLE_SIZE = 512;
+
+/**
+ * Bounding box of the pixels whose alpha exceeds a threshold
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Minimum alpha (0-255) counted as subject (default: 32)
+ * @returns {Object|null} - { left, top, right, bottom } in pixels (right/bottom exclusive), null when empty
+ */
+export const computeAlphaBounds = (data, width, height, threshold = 32) => {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > threshold) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        bottom = y;
+      }
+    }
+  }
+
+  if (right < 0) return null;
+  return { left, top, right: right + 1, bottom: bottom + 1 };
+};
+
+/**
+ * Reads a downscaled copy of a cutout's pixels for measuring
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @returns {Object} - { data, width, height } RGBA pixels of the sample
+ */
+export const sampleSubject = (subject) => {
+  const scale = Math.min(1, BOUNDS_SAMPLE_SIZE / Math.max(subject.width, subject.height));
+  const canvas = createCanvas(Math.max(1, subject.width * scale), Math.max(1, subject.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(subject, 0, 0, canvas.width, canvas.height);
+
+  return {
+    data: ctx.getImageData(0, 0, canvas.width, canvas.height).data,
+    width: canvas.width,
+    height: canvas.height
+  };
+};
+
+/**
+ * Subject bounds of a cutout as fractions of its size
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @returns {Object} - { left, top, right, bottom } in [0, 1]; the full frame when empty
+ */
+export const measureSubjectBounds = (subject) => {
+  const { data, width, height } = sampleSubject(subject);
+  const bounds = computeAlphaBounds(data, width, height);
+  if (!bounds) return { left: 0, top: 0, right: 1, bottom: 1 };
+
+  return {
+    left: bounds.left / width,
+    top: bounds.top / height,
+    right: bounds.right / width,
+    bottom: bounds.bottom / height
+  };
+};
@@ -0,0 +1,276 @@
+import { loadImage, loadVideo, createCanvas, blobToDataURL } from '../imageUtils';
+import { applyMask } from '../segmentation/applyMask';
+import { drawBackground, drawSubject, resolveOutputSize } from './compositor';
+import { SUBJECT_Z, prepareOverlays, drawOverlay } from './overlays';
+import { DEFAULT_OUTPUT, encodeCanvas } from './output';
+import { needsFrameTransform, transformFrame } from '../camera';
+import { DEFAULT_COMPOSITING_SETTINGS } from './settings';
+import { detectSubjectFrame, frameSubject } from './framing';
+
+// Recorder formats in order of preference: MP4 plays on every phone that
+// scans the QR code, WebM is what most desktop browsers can record
+export const CLIP_MIME_TYPES = [
+  'video/mp4;codecs=avc1',
+  'video/mp4',
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+/**
+ * Whether this browser can record a canvas to video
+ * @returns {boolean}
+ */
+export const isClipRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+/**
+ * Picks the first recorder format this browser supports
+ * @param {string} preferred - Format to try first (optional)
+ * @returns {string} MIME type, or '' to let the browser choose
+ */
+export const pickClipMimeType = (preferred) => {
+  const candidates = preferred ? [preferred, ...CLIP_MIME_TYPES] : CLIP_MIME_TYPES;
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * Loads a background's looping video, falling back to its still image when
+ * there is no video or it cannot be played
+ * @param {string} src - Still image URL
+ * @param {string} videoSrc - Video URL (optional)
+ * @returns {Promise<HTMLImageElement|HTMLVideoElement>} Drawable background
+ */
+export const loadBackgroundSource = async (src, videoSrc) => {
+  if (videoSrc) {
+    try {
+      return await loadVideo(videoSrc);
+    } catch (error) {
+      console.warn(`Video background unavailable, using the still image: ${videoSrc}`, error);
+    }
+  }
+  return loadImage(src);
+};
+
+/**
+ * Scales an output size for recording, keeping both sides even as video
+ * encoders require
+ * @param {Object} size - { width, height }
+ * @param {number} scale - Fraction of the output size
+ * @returns {Object} - { width, height }
+ */
+export const scaleClipSize = ({ width, height }, scale = 1) => ({
+  width: Math.max(2, Math.round((width * scale) / 2) * 2),
+  height: Math.max(2, Math.round((height * scale) / 2) * 2)
+});
+
+/**
+ * Draws one clip frame: background, overlays below the subject, the
+ * segmented guest, then the remaining overlays
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} layers - { background, subject, overlays }
+ * @param {Object} options - { width, height, settings, transform }; without a
+ *   transform the guest is fitted and centred
+ */
+export const drawClipFrame = (
+  ctx,
+  { background, subject, overlays = [] },
+  { width, height, settings = DEFAULT_COMPOSITING_SETTINGS, transform }
+) => {
+  ctx.clearRect(0, 0, width, height);
+  drawBackground(ctx, background, width, height, settings.fit);
+
+  overlays
+    .filter((overlay) => overlay.z < SUBJECT_Z)
+    .forEach((overlay) => drawOverlay(ctx, overlay, width, height));
+
+  if (subject) {
+    drawSubject(ctx, subject, width, height, transform);
+  }
+
+  overlays
+    .filter((overlay) => overlay.z >= SUBJECT_Z)
+    .forEach((overlay) => drawOverlay(ctx, overlay, width, height));
+};
+
+/**
+ * Records a short clip of the segmented guest over a background. Frames are
+ * drawn at the target rate; segmentation runs as fast as the model allows
+ * and frames in between reuse the latest matte.
+ * @param {Object} params
+ * @param {HTMLVideoElement} params.camera - Live webcam video
+ * @param {Object} params.cameraTransform - { rotation, mirrored } applied to camera frames (see lib/camera.js)
+ * @param {Object} params.segmenter - { segment } (see onnxSegmenter.js)
+ * @param {CanvasImageSource} params.background - Image or playing video (see loadBackgroundSource)
+ * @param {Object[]} params.overlays - Prepared overlays (see prepareOverlays)
+ * @param {number} params.width - Clip width
+ * @param {number} params.height - Clip height
+ * @param {Object} params.settings - Resolved compositing settings
+ * @param {number} params.durationMs - Clip length (default: 5000ms)
+ * @param {number} params.fps - Frame rate (default: 24)
+ * @param {string} params.mimeType - Preferred recorder format (see pickClipMimeType)
+ * @param {number} params.videoBitsPerSecond - Encoder bitrate
+ * @param {HTMLCanvasElement} params.canvas - Canvas to draw into; its last frame can serve as a poster
+ * @param {Function} params.onProgress - Called with the elapsed fraction after each frame
+ * @returns {Promise<Blob>} The recorded clip
+ */
+export const recordClip = async ({
+  camera,
+  cameraTransform,
+  segmenter,
+  background,
+  overlays = [],
+  width,
+  height,
+  settings = DEFAULT_COMPOSITING_SETTINGS,
+  durationMs = 5000,
+  fps = 24,
+  mimeType,
+  videoBitsPerSecond,
+  canvas = createCanvas(width, height),
+  onProgress
+}) => {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Frames are grabbed into one canvas when they need rotating or mirroring;
+  // the matte is computed and applied on the same grab
+  const frameCanvas = needsFrameTransform(cameraTransform) ? createCanvas(1, 1) : null;
+  const grabFrame = () => (frameCanvas ? transformFrame(camera, cameraTransform, frameCanvas) : camera);
+
+  // Segment once up front so the first recorded frame already has the guest
+  let mask = await segmenter.segment(grabFrame());
+
+  // Placed like a photo (auto-framing, the background's placement) from the
+  // first frame, then kept, so the guest does not jump as they move
+  const firstSubject = applyMask(grabFrame(), mask);
+  const transform = frameSubject(
+    { background, subject: firstSubject, subjectFrame: await detectSubjectFrame(firstSubject) },
+    width,
+    height,
+    settings
+  );
+  let recording = true;
+  let segmentationError = null;
+  const segmenting = (async () => {
+    while (recording) {
+      mask = await segmenter.segment(grabFrame());
+    }
+  })().catch((error) => {
+    segmentationError = error;
+  });
+
+  const draw = () =>
+    drawClipFrame(
+      ctx,
+      { background, subject: applyMask(grabFrame(), mask), overlays },
+      { width, height, settings, transform }
+    );
+
+  const type = pickClipMimeType(mimeType);
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { ...(type && { mimeType: type }), videoBitsPerSecond });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (event) => reject(event.error || new Error('Clip recording failed'));
+  });
+
+  draw();
+  recorder.start();
+  const startedAt = performance.now();
+  const timer = setInterval(() => {
+    draw();
+    onProgress?.(Math.min(1, (performance.now() - startedAt) / durationMs));
+  }, 1000 / fps);
+
+  await new Promise((resolve) => setTimeout(resolve, durationMs));
+  recording = false;
+  clearInterval(timer);
+  recorder.stop();
+
+  try {
+    await stopped;
+    await segmenting;
+  } finally {
+    stream.getTracks().forEach((track) => track.stop());
+  }
+  if (segmentationError) {
+    throw segmentationError;
+  }
+
+  // Drop codec parameters: they can contain commas, which data URLs cannot carry
+  const container = (recorder.mimeType || type || 'video/webm').split(';')[0];
+  return new Blob(chunks, { type: container });
+};
+
+/**
+ * Loads the background and overlays, records a clip and encodes its last
+ * frame as a still poster
+ * @param {Object} params
+ * @param {HTMLVideoElement} params.camera - Live webcam video
+ * @param {Object} params.cameraTransform - { rotation, mirrored } applied to camera frames
+ * @param {Object} params.segmenter - { segment } (see onnxSegmenter.js)
+ * @param {string} params.backgroundSrc - Background still image URL
+ * @param {string} params.backgroundVideoSrc - Looping background video URL (optional)
+ * @param {Object} params.settings - Resolved compositing settings
+ * @param {Object[]} params.overlays - Overlay layer definitions
+ * @param {Object} params.textValues - Token values for text overlays
+ * @param {Object} params.output - { format, quality, preset }; the poster's format and the clip's base size
+ * @param {Object} params.clip - { durationMs, fps, mimeType, videoBitsPerSecond, scale }
+ * @param {HTMLCanvasElement} params.canvas - Canvas to record from (default: a new one)
+ * @param {Function} params.onProgress - Called with the elapsed fraction while recording
+ * @returns {Promise<Object>} - { clip, poster } as data URLs
+ */
+export const composeClip = async ({
+  camera,
+  cameraTransform,
+  segmenter,
+  backgroundSrc,
+  backgroundVideoSrc,
+  settings = DEFAULT_COMPOSITING_SETTINGS,
+  overlays = [],
+  textValues = {},
+  output = DEFAULT_OUTPUT,
+  clip = {},
+  canvas,
+  onProgress
+}) => {
+  const [background, preparedOverlays] = await Promise.all([
+    loadBackgroundSource(backgroundSrc, backgroundVideoSrc),
+    prepareOverlays(overlays, textValues)
+  ]);
+
+  try {
+    const size = scaleClipSize(resolveOutputSize(background, output.preset), clip.scale);
+    const target = canvas || createCanvas(size.width, size.height);
+    const blob = await recordClip({
+      camera,
+      cameraTransform,
+      segmenter,
+      background,
+      overlays: preparedOverlays,
+      ...size,
+      settings,
+      durationMs: clip.durationMs,
+      fps: clip.fps,
+      mimeType: clip.mimeType,
+      videoBitsPerSecond: clip.videoBitsPerSecond,
+      canvas: target,
+      onProgress
+    });
+
+    return {
+      clip: await blobToDataURL(blob),
+      poster: encodeCanvas(target, output)
+    };
+  } finally {
+    background.pause?.();
+  }
+};
@@ -0,0 +1,217 @@
+import { loadImage, createCanvas } from '../imageUtils';
+import { DEFAULT_SUBJECT_TRANSFORM, computeSubjectRect, applySubjectTransform } from './subjectTransform';
+import { refineSubject } from './matte';
+import { harmonizeSubject } from './harmonize';
+import { measureSubjectBounds } from './alphaBounds';
+import { detectSubjectFrame, frameSubject } from './framing';
+import { createShadowImage, drawSubjectShadow } from './shadow';
+import { SUBJECT_Z, prepareOverlays, drawOverlay } from './overlays';
+import { DEFAULT_OUTPUT, encodeCanvas, encodeCutout } from './output';
+import { getPresetSize } from './presets';
+import { computeFitRect } from './fit';
+import { DEFAULT_COMPOSITING_SETTINGS } from './settings';
+
+/**
+ * Picks the output canvas size for a background: portrait-first within
+ * 1080x1920, following the background's aspect ratio
+ * @param {number} backgroundWidth - Background natural width
+ * @param {number} backgroundHeight - Background natural height
+ * @returns {Object} - { width, height }
+ */
+export const computeCanvasSize = (backgroundWidth, backgroundHeight) => {
+  const maxWidth = 1080;
+  const maxHeight = 1920;
+
+  let canvasWidth = maxWidth;
+  let canvasHeight = maxHeight;
+
+  // If background is landscape, adjust to fit within max dimensions
+  const backgroundAspectRatio = backgroundWidth / backgroundHeight;
+  if (backgroundAspectRatio > (maxWidth / maxHeight)) {
+    canvasHeight = canvasWidth / backgroundAspectRatio;
+    if (canvasHeight < 800) {
+      canvasHeight = 800;
+      canvasWidth = canvasHeight * backgroundAspectRatio;
+    }
+  } else {
+    canvasWidth = canvasHeight * backgroundAspectRatio;
+    if (canvasWidth < 600) {
+      canvasWidth = 600;
+      canvasHeight = canvasWidth / backgroundAspectRatio;
+    }
+  }
+
+  return { width: canvasWidth, height: canvasHeight };
+};
+
+/**
+ * Output size: the preset's exact pixels, or derived from the background
+ * @param {CanvasImageSource} background - Loaded background
+ * @param {string} preset - Output preset name (see presets.js)
+ * @returns {Object} - { width, height }
+ */
+export const resolveOutputSize = (background, preset) =>
+  getPresetSize(preset) || computeCanvasSize(background.width, background.height);
+
+/**
+ * Draws the background with a fit mode, filling any letterbox bars first
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} background - Loaded background
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} fit - { mode, focalPoint, fill } (see fit.js)
+ */
+export const drawBackground = (ctx, background, canvasWidth, canvasHeight, fit = DEFAULT_COMPOSITING_SETTINGS.fit) => {
+  const rect = computeFitRect(background.width, background.height, canvasWidth, canvasHeight, fit);
+
+  if (fit.mode === 'contain') {
+    ctx.fillStyle = fit.fill || '#000000';
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+  }
+  ctx.drawImage(background, rect.x, rect.y, rect.width, rect.height);
+};
+
+/**
+ * Draws the subject with a placement transform applied
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} subject - Cutout image
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} transform - Subject transform (see subjectTransform.js)
+ */
+export const drawSubject = (ctx, subject, canvasWidth, canvasHeight, transform = DEFAULT_SUBJECT_TRANSFORM) => {
+  const rect = computeSubjectRect(subject.width, subject.height, canvasWidth, canvasHeight);
+
+  ctx.save();
+  applySubjectTransform(ctx, rect, canvasWidth, canvasHeight, transform);
+  ctx.drawImage(subject, -rect.width / 2, -rect.height / 2, rect.width, rect.height);
+  ctx.restore();
+};
+
+/**
+ * Draws the layer stack into a canvas: background, overlays below the
+ * subject, ground shadow, subject, then the remaining overlays
+ * @param {HTMLCanvasElement} canvas - Target canvas, resized to width x height
+ * @param {Object} layers - From prepareLayers
+ * @param {Object} options - { width, height, transform, settings }; without a
+ *   transform the subject is auto-framed (see framing.js)
+ */
+export const renderComposition = (canvas, layers, { width, height, transform, settings = DEFAULT_COMPOSITING_SETTINGS }) => {
+  const { background, subject, shadow, subjectBounds, overlays = [] } = layers;
+  const subjectTransform = transform || frameSubject(layers, width, height, settings);
+
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  drawBackground(ctx, background, width, height, settings.fit);
+
+  overlays
+    .filter((overlay) => overlay.z < SUBJECT_Z)
+    .forEach((overlay) => drawOverlay(ctx, overlay, width, height));
+
+  if (shadow) {
+    drawSubjectShadow(ctx, shadow, width, height, subjectTransform, subjectBounds, settings.shadow);
+  }
+  drawSubject(ctx, subject, width, height, subjectTransform);
+
+  overlays
+    .filter((overlay) => overlay.z >= SUBJECT_Z)
+    .forEach((overlay) => drawOverlay(ctx, overlay, width, height));
+};
+
+/**
+ * Loads the background, cutout and overlays and applies the per-image
+ * processing (matte refinement, colour harmonisation, shadow) that does not
+ * depend on placement
+ * @param {Object} params
+ * @param {string} params.backgroundSrc - Background image URL
+ * @param {string} params.foregroundSrc - Cutout data URL
+ * @param {Object} params.settings - Resolved compositing settings
+ * @param {Object[]} params.overlays - Overlay layer definitions (see overlays.js)
+ * @param {Object} params.textValues - Token values for text overlays
+ * @returns {Promise<Object>} Layers - { background, subject, subjectBounds, subjectFrame, shadow, overlays }
+ */
+export const prepareLayers = async ({
+  backgroundSrc,
+  foregroundSrc,
+  settings = DEFAULT_COMPOSITING_SETTINGS,
+  overlays = [],
+  textValues = {}
+}) => {
+  const [background, cutout, preparedOverlays] = await Promise.all([
+    loadImage(backgroundSrc),
+    loadImage(foregroundSrc),
+    prepareOverlays(overlays, textValues)
+  ]);
+
+  const refined = refineSubject(cutout, settings.matte);
+  const subject = harmonizeSubject(refined, background, settings.harmonize);
+
+  return {
+    background,
+    subject,
+    subjectBounds: measureSubjectBounds(subject),
+    subjectFrame: await detectSubjectFrame(subject),
+    shadow: settings.shadow.enabled ? createShadowImage(subject, settings.shadow) : null,
+    overlays: preparedOverlays
+  };
+};
+
+/**
+ * Renders prepared layers at full resolution
+ * @param {Object} layers - From prepareLayers
+ * @param {Object} options
+ * @param {Object} options.transform - Subject transform (default: auto-framed)
+ * @param {Object} options.settings - Resolved compositing settings
+ * @param {Object} options.output - { format, quality, preset } (see output.js, presets.js)
+ * @param {HTMLCanvasElement} options.canvas - Canvas to render into (default: a new one)
+ * @returns {string} Data URL of the composite in the requested format
+ */
+export const exportComposition = (
+  layers,
+  {
+    transform,
+    settings = DEFAULT_COMPOSITING_SETTINGS,
+    output = DEFAULT_OUTPUT,
+    canvas = createCanvas(1080, 1920)
+  } = {}
+) => {
+  const size = resolveOutputSize(layers.background, output.preset);
+  renderComposition(canvas, layers, { ...size, transform, settings });
+
+  return encodeCanvas(canvas, output);
+};
+
+/**
+ * Loads everything and renders the final composite at full resolution
+ * @param {Object} params
+ * @param {string} params.backgroundSrc - Background image URL
+ * @param {string} params.foregroundSrc - Cutout data URL
+ * @param {Object} params.transform - Subject transform (default: auto-framed)
+ * @param {Object} params.settings - Resolved compositing settings (see settings.js)
+ * @param {Object[]} params.overlays - Overlay layer definitions
+ * @param {Object} params.textValues - Token values for text overlays
+ * @param {Object} params.output - { format, quality, preset }
+ * @param {boolean} params.includeCutout - Also export the processed cutout as a transparent PNG
+ * @param {HTMLCanvasElement} params.canvas - Canvas to render into (default: a new one)
+ * @returns {Promise<Object>} - { combinedImage, cutoutImage } data URLs (cutoutImage null unless requested)
+ */
+export const composeImage = async ({
+  backgroundSrc,
+  foregroundSrc,
+  transform,
+  settings = DEFAULT_COMPOSITING_SETTINGS,
+  overlays = [],
+  textValues = {},
+  output,
+  includeCutout = false,
+  canvas
+}) => {
+  const layers = await prepareLayers({ backgroundSrc, foregroundSrc, settings, overlays, textValues });
+  return {
+    combinedImage: exportComposition(layers, { transform, settings, output, canvas }),
+    cutoutImage: includeCutout ? encodeCutout(layers.subject) : null
+  };
+};
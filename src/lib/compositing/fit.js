@@ -0,0 +1,65 @@
+// How a background fills a canvas of a different aspect ratio:
+//   cover   - scale until the canvas is filled, cropping the overflow around the focal point
+//   contain - scale until the whole background fits, filling the bars with a colour
+//   crop    - like cover, but never scale down, so the focal point stays at full detail
+//   stretch - distort to the canvas size (the original behaviour)
+export const FIT_MODES = ['cover', 'contain', 'crop', 'stretch'];
+
+export const DEFAULT_FOCAL_POINT = { x: 0.5, y: 0.5 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Offset along one axis that puts the focal point at the centre, without
+// leaving a gap when the scaled source overflows the destination
+const alignAxis = (scaledSize, dstSize, focal) => {
+  if (scaledSize <= dstSize) {
+    return (dstSize - scaledSize) / 2;
+  }
+  return clamp(dstSize / 2 - focal * scaledSize, dstSize - scaledSize, 0);
+};
+
+/**
+ * Computes where to draw a source so it fills a destination with the
+ * given fit mode
+ * @param {number} srcWidth - Source width
+ * @param {number} srcHeight - Source height
+ * @param {number} dstWidth - Destination width
+ * @param {number} dstHeight - Destination height
+ * @param {Object} options
+ * @param {string} options.mode - One of FIT_MODES (default: 'cover')
+ * @param {Object} options.focalPoint - { x, y } as fractions of the source (default: centre)
+ * @returns {Object} Draw rectangle - { x, y, width, height }
+ */
+export const computeFitRect = (
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  { mode = 'cover', focalPoint = DEFAULT_FOCAL_POINT } = {}
+) => {
+  if (mode === 'stretch') {
+    return { x: 0, y: 0, width: dstWidth, height: dstHeight };
+  }
+
+  const coverScale = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+  let scale = coverScale;
+  if (mode === 'contain') {
+    scale = Math.min(dstWidth / srcWidth, dstHeight / srcHeight);
+  } else if (mode === 'crop') {
+    scale = Math.max(coverScale, 1);
+  } else if (mode !== 'cover') {
+    console.warn(`Unknown fit mode "${mode}", using cover`);
+  }
+
+  const width = srcWidth * scale;
+  const height = srcHeight * scale;
+  const focalX = clamp(focalPoint?.x ?? DEFAULT_FOCAL_POINT.x, 0, 1);
+  const focalY = clamp(focalPoint?.y ?? DEFAULT_FOCAL_POINT.y, 0, 1);
+
+  return {
+    x: alignAxis(width, dstWidth, focalX),
+    y: alignAxis(height, dstHeight, focalY),
+    width,
+    height
+  };
+};
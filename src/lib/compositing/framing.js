@@ -0,0 +1,243 @@
+import { computeAlphaBounds, sampleSubject } from './alphaBounds';
+import {
+  DEFAULT_SUBJECT_TRANSFORM,
+  MIN_SUBJECT_SCALE,
+  MAX_SUBJECT_SCALE,
+  computeSubjectRect,
+  normalizeSubjectTransform
+} from './subjectTransform';
+import { computeFitRect } from './fit';
+import { DEFAULT_COMPOSITING_SETTINGS } from './settings';
+
+// Alpha above which a sampled pixel counts as part of the guest
+const ALPHA_THRESHOLD = 32;
+
+// The shoulders start where the silhouette gets this much wider than the head
+const SHOULDER_WIDTH_RATIO = 1.6;
+
+// Rows at the very top (hair) are too narrow to compare against
+const MIN_HEAD_FRACTION = 0.03;
+
+// The head is looked for in this top part of the silhouette
+const HEAD_SEARCH_FRACTION = 0.5;
+
+// Eyes sit this far down the head (hair to chin)
+const EYE_LINE = 0.45;
+
+// A silhouette reaching this close to the bottom edge was cut off by the camera
+const CROPPED_EDGE = 0.98;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Width of the silhouette on each row (rightmost minus leftmost opaque pixel)
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Minimum alpha counted as subject
+ * @returns {number[]} Width per row, 0 for empty rows
+ */
+export const computeRowWidths = (data, width, height, threshold = ALPHA_THRESHOLD) => {
+  const widths = new Array(height).fill(0);
+  for (let y = 0; y < height; y++) {
+    let left = -1;
+    let right = -1;
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > threshold) {
+        if (left < 0) left = x;
+        right = x;
+      }
+    }
+    widths[y] = left < 0 ? 0 : right - left + 1;
+  }
+  return widths;
+};
+
+/**
+ * Finds the neck in a silhouette: the narrowest row between the widest part
+ * of the head and the point where the shoulders widen out
+ * @param {number[]} rowWidths - From computeRowWidths
+ * @param {number} top - First row of the silhouette
+ * @param {number} bottom - Row after the last row of the silhouette
+ * @returns {number|null} Neck row, or null when no head/shoulder shape is found
+ */
+export const findNeckRow = (rowWidths, top, bottom) => {
+  const minRow = top + Math.ceil((bottom - top) * MIN_HEAD_FRACTION);
+  const lastRow = Math.min(bottom, top + Math.ceil((bottom - top) * HEAD_SEARCH_FRACTION));
+  let headWidth = 0;
+  let widestRow = top;
+
+  for (let y = top; y < lastRow; y++) {
+    if (y >= minRow && headWidth > 0 && rowWidths[y] > headWidth * SHOULDER_WIDTH_RATIO) {
+      let neck = widestRow;
+      for (let row = widestRow + 1; row < y; row++) {
+        if (rowWidths[row] < rowWidths[neck]) neck = row;
+      }
+      return neck > widestRow ? neck : null;
+    }
+    if (rowWidths[y] > headWidth) {
+      headWidth = rowWidths[y];
+      widestRow = y;
+    }
+  }
+  return null;
+};
+
+/**
+ * Measures where the guest is in a cutout, from its alpha
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @returns {Object|null} Frame as fractions of the cutout - { left, top, right,
+ *   bottom, headTop, headBottom (null when no head was found), cropped } - or null when empty
+ */
+export const measureSubjectFrame = (subject) => {
+  const { data, width, height } = sampleSubject(subject);
+  const bounds = computeAlphaBounds(data, width, height, ALPHA_THRESHOLD);
+  if (!bounds) return null;
+
+  const neck = findNeckRow(computeRowWidths(data, width, height), bounds.top, bounds.bottom);
+  return {
+    left: bounds.left / width,
+    top: bounds.top / height,
+    right: bounds.right / width,
+    bottom: bounds.bottom / height,
+    headTop: bounds.top / height,
+    headBottom: neck === null ? null : neck / height,
+    cropped: bounds.bottom / height >= CROPPED_EDGE
+  };
+};
+
+/**
+ * Measures the guest, using the browser's face detector for the chin when
+ * there is one (Shape Detection API) and the silhouette otherwise
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @returns {Promise<Object|null>} Frame (see measureSubjectFrame)
+ */
+export const detectSubjectFrame = async (subject) => {
+  const frame = measureSubjectFrame(subject);
+  if (!frame || typeof window.FaceDetector === 'undefined') return frame;
+
+  try {
+    const detector = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+    const [face] = await detector.detect(subject);
+    if (face) {
+      // From the top of the hair down to the chin counts as the head
+      const { y, height } = face.boundingBox;
+      return { ...frame, headBottom: (y + height) / subject.height };
+    }
+  } catch (error) {
+    console.warn('Face detection failed, framing from the silhouette:', error);
+  }
+  return frame;
+};
+
+/**
+ * Maps a background's placement metadata (fractions of the background image)
+ * to fractions of the canvas, following how the background is fitted
+ * @param {Object} placement - { box, horizon, maxScale } (see settings.js)
+ * @param {Object} fitRect - Where the background is drawn (computeFitRect)
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {Object|null} - { box, horizon, maxScale } on the canvas, null when the background has none
+ */
+export const mapPlacementToCanvas = (placement, fitRect, canvasWidth, canvasHeight) => {
+  const { box = null, horizon = null, maxScale = null } = placement || {};
+  if (!box && horizon === null && maxScale === null) return null;
+
+  const toX = (u) => clamp01((fitRect.x + u * fitRect.width) / canvasWidth);
+  const toY = (v) => clamp01((fitRect.y + v * fitRect.height) / canvasHeight);
+  return {
+    box: box && { left: toX(box.left), top: toY(box.top), right: toX(box.right), bottom: toY(box.bottom) },
+    horizon: horizon === null ? null : toY(horizon),
+    maxScale
+  };
+};
+
+/**
+ * Subject transform that normalises the guest's size and position: the head
+ * at a set fraction of the canvas height, the feet on the baseline and the
+ * body centred at centerX. Guests cut off by the bottom of the camera frame
+ * are anchored to the canvas bottom instead, at croppedHeadHeight.
+ *
+ * A background's placement overrides this: the guest stands centred on the
+ * bottom of its box, sized so their eyes meet the horizon, and never grows
+ * past the box or maxScale.
+ * @param {number} subjectWidth - Cutout width
+ * @param {number} subjectHeight - Cutout height
+ * @param {Object} frame - From measureSubjectFrame (null leaves the subject fitted and centred)
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} framing - { enabled, headHeight, croppedHeadHeight, baseline, centerX }
+ * @param {Object} placement - From mapPlacementToCanvas (optional)
+ * @returns {Object} Subject transform
+ */
+export const computeFramingTransform = (
+  subjectWidth,
+  subjectHeight,
+  frame,
+  canvasWidth,
+  canvasHeight,
+  framing,
+  placement = null
+) => {
+  if (!frame || (!framing?.enabled && !placement)) return DEFAULT_SUBJECT_TRANSFORM;
+
+  const { headHeight = 0.1, croppedHeadHeight = 0.18, baseline = 0.95, centerX = 0.5 } = framing || {};
+  const { box = null, horizon = null, maxScale = null } = placement || {};
+  const rect = computeSubjectRect(subjectWidth, subjectHeight, canvasWidth, canvasHeight);
+  const head = frame.headBottom === null ? 0 : frame.headBottom - frame.headTop;
+  const targetX = box ? (box.left + box.right) / 2 : centerX;
+  const targetFeet = frame.cropped ? 1 : box ? box.bottom : baseline;
+
+  // Without a head to measure, only the position is normalised
+  let scale = 1;
+  if (horizon !== null && head > 0 && !frame.cropped && targetFeet > horizon) {
+    const eyes = frame.headTop + head * EYE_LINE;
+    scale = ((targetFeet - horizon) * canvasHeight) / ((frame.bottom - eyes) * rect.height);
+  } else if (framing?.enabled && head > 0) {
+    scale = ((frame.cropped ? croppedHeadHeight : headHeight) * canvasHeight) / (head * rect.height);
+  }
+
+  if (box) {
+    scale = Math.min(
+      scale,
+      ((targetFeet - box.top) * canvasHeight) / ((frame.bottom - frame.top) * rect.height),
+      ((box.right - box.left) * canvasWidth) / ((frame.right - frame.left) * rect.width)
+    );
+  }
+  if (maxScale !== null) {
+    scale = Math.min(scale, maxScale);
+  }
+  scale = Math.min(MAX_SUBJECT_SCALE, Math.max(MIN_SUBJECT_SCALE, scale));
+
+  // Body centre and feet relative to the cutout centre, at that scale
+  const centreOffset = ((frame.left + frame.right) / 2 - 0.5) * rect.width * scale;
+  const feetOffset = (frame.bottom - 0.5) * rect.height * scale;
+
+  return normalizeSubjectTransform({
+    x: (targetX * canvasWidth - (rect.x + rect.width / 2) - centreOffset) / canvasWidth,
+    y: (targetFeet * canvasHeight - (rect.y + rect.height / 2) - feetOffset) / canvasHeight,
+    scale,
+    rotation: 0
+  });
+};
+
+/**
+ * Auto-framed transform for prepared layers at a given output size
+ * @param {Object} layers - From prepareLayers
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} settings - Resolved compositing settings (fit, framing, placement)
+ * @returns {Object} Subject transform
+ */
+export const frameSubject = (layers, width, height, settings = DEFAULT_COMPOSITING_SETTINGS) => {
+  const { background, subject, subjectFrame } = layers;
+  const placement =
+    settings.placement &&
+    mapPlacementToCanvas(
+      settings.placement,
+      computeFitRect(background.width, background.height, width, height, settings.fit),
+      width,
+      height
+    );
+  return computeFramingTransform(subject.width, subject.height, subjectFrame, width, height, settings.framing, placement);
+};
@@ -0,0 +1,131 @@
+import { createCanvas } from '../imageUtils';
+
+// Statistics are gathered from a downscaled copy; this is plenty for means
+const STATS_SAMPLE_SIZE = 128;
+
+// Limits keep a strongly tinted background from wrecking skin tones
+const GAIN_LIMITS = { min: 0.8, max: 1.25 };
+const EXPOSURE_LIMITS = { min: 0.7, max: 1.4 };
+const CONTRAST_LIMITS = { min: 0.8, max: 1.25 };
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+// Blend a multiplier toward 1 (no change) by strength
+const blend = (factor, strength) => 1 + (factor - 1) * strength;
+
+/**
+ * Colour statistics of RGBA pixels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {boolean} useAlpha - Weight pixels by alpha (for cutouts)
+ * @returns {Object} - { mean: [r, g, b], luma, lumaStd }
+ */
+export const computeImageStats = (data, useAlpha = false) => {
+  let totalWeight = 0;
+  const sums = [0, 0, 0];
+  let lumaSum = 0;
+  let lumaSquareSum = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const weight = useAlpha ? data[i + 3] / 255 : 1;
+    if (weight === 0) continue;
+
+    const y = luma(data[i], data[i + 1], data[i + 2]);
+    sums[0] += data[i] * weight;
+    sums[1] += data[i + 1] * weight;
+    sums[2] += data[i + 2] * weight;
+    lumaSum += y * weight;
+    lumaSquareSum += y * y * weight;
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) {
+    return { mean: [0, 0, 0], luma: 0, lumaStd: 0 };
+  }
+
+  const meanLuma = lumaSum / totalWeight;
+  return {
+    mean: sums.map((sum) => sum / totalWeight),
+    luma: meanLuma,
+    lumaStd: Math.sqrt(Math.max(0, lumaSquareSum / totalWeight - meanLuma * meanLuma))
+  };
+};
+
+/**
+ * Derives the adjustment that moves the subject toward the background
+ * @param {Object} subjectStats - Stats of the cutout (alpha weighted)
+ * @param {Object} backgroundStats - Stats of the background
+ * @param {number} strength - 0 (no change) to 1 (full match, within limits)
+ * @returns {Object} - { gains: [r, g, b], exposure, contrast }
+ */
+export const computeHarmonizationParams = (subjectStats, backgroundStats, strength) => {
+  if (subjectStats.luma === 0 || backgroundStats.luma === 0) {
+    return { gains: [1, 1, 1], exposure: 1, contrast: 1 };
+  }
+
+  // White balance: match each channel's share of the luminance
+  const gains = subjectStats.mean.map((subjectMean, c) => {
+    if (subjectMean === 0) return 1;
+    const subjectChroma = subjectMean / subjectStats.luma;
+    const backgroundChroma = backgroundStats.mean[c] / backgroundStats.luma;
+    return blend(clamp(backgroundChroma / subjectChroma, GAIN_LIMITS), strength);
+  });
+
+  const exposure = blend(clamp(backgroundStats.luma / subjectStats.luma, EXPOSURE_LIMITS), strength);
+  const contrast = subjectStats.lumaStd > 0
+    ? blend(clamp(backgroundStats.lumaStd / subjectStats.lumaStd, CONTRAST_LIMITS), strength)
+    : 1;
+
+  return { gains, exposure, contrast };
+};
+
+/**
+ * Applies harmonisation parameters to RGBA pixels in place; alpha is kept
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Object} params - From computeHarmonizationParams
+ * @param {number} pivot - Luminance around which contrast is scaled (subject mean)
+ */
+export const applyHarmonization = (data, { gains, exposure, contrast }, pivot) => {
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    for (let c = 0; c < 3; c++) {
+      const balanced = data[i + c] * gains[c];
+      data[i + c] = ((balanced - pivot) * contrast + pivot) * exposure;
+    }
+  }
+};
+
+// Draws an image into a canvas no larger than STATS_SAMPLE_SIZE and reads it back
+const sampleImageData = (image) => {
+  const scale = Math.min(1, STATS_SAMPLE_SIZE / Math.max(image.width, image.height));
+  const canvas = createCanvas(Math.max(1, image.width * scale), Math.max(1, image.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+};
+
+/**
+ * Adjusts a cutout's white balance, exposure and contrast toward a background
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @param {CanvasImageSource} background - Background image
+ * @param {Object} settings - { enabled, strength }
+ * @returns {CanvasImageSource} Harmonised cutout (the input when disabled)
+ */
+export const harmonizeSubject = (subject, background, { enabled = true, strength = 0.5 } = {}) => {
+  if (!enabled || strength <= 0) return subject;
+
+  const subjectStats = computeImageStats(sampleImageData(subject), true);
+  const backgroundStats = computeImageStats(sampleImageData(background));
+  const params = computeHarmonizationParams(subjectStats, backgroundStats, strength);
+
+  const canvas = createCanvas(subject.width, subject.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(subject, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  applyHarmonization(imageData.data, params, subjectStats.luma);
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas;
+};
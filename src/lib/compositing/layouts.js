@@ -0,0 +1,119 @@
+import { createCanvas } from '../imageUtils';
+import { prepareLayers, renderComposition } from './compositor';
+import { prepareOverlays, drawOverlay } from './overlays';
+import { DEFAULT_OUTPUT, encodeCanvas } from './output';
+import { DEFAULT_COMPOSITING_SETTINGS } from './settings';
+
+// Multi-shot sheet templates, sized as 300 DPI prints. margin and gap are
+// fractions of the sheet width; footer is the fraction of the height kept
+// free at the bottom for captions and logos.
+export const PHOTO_LAYOUTS = {
+  strip: {
+    label: 'Photo strip',
+    width: 600,
+    height: 1800,
+    columns: 1,
+    rows: 4,
+    margin: 0.05,
+    gap: 0.03,
+    footer: 0.1,
+    fill: '#1a1a1a'
+  },
+  grid: {
+    label: '2x2 grid',
+    width: 1200,
+    height: 1800,
+    columns: 2,
+    rows: 2,
+    margin: 0.04,
+    gap: 0.02,
+    footer: 0.12,
+    fill: '#1a1a1a'
+  }
+};
+
+/**
+ * Number of captures a layout needs
+ * @param {Object} layout - Entry of PHOTO_LAYOUTS
+ * @returns {number}
+ */
+export const getLayoutShotCount = (layout) => layout.columns * layout.rows;
+
+/**
+ * Computes the photo cells of a layout in sheet pixels, row by row
+ * @param {Object} layout - Entry of PHOTO_LAYOUTS
+ * @returns {Object[]} Cells - { x, y, width, height }
+ */
+export const computeLayoutCells = ({ width, height, columns, rows, margin = 0, gap = 0, footer = 0 }) => {
+  const marginPx = margin * width;
+  const gapPx = gap * width;
+  const areaWidth = width - 2 * marginPx;
+  const areaHeight = height - 2 * marginPx - footer * height;
+  const cellWidth = Math.floor((areaWidth - gapPx * (columns - 1)) / columns);
+  const cellHeight = Math.floor((areaHeight - gapPx * (rows - 1)) / rows);
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      cells.push({
+        x: Math.round(marginPx + column * (cellWidth + gapPx)),
+        y: Math.round(marginPx + row * (cellHeight + gapPx)),
+        width: cellWidth,
+        height: cellHeight
+      });
+    }
+  }
+  return cells;
+};
+
+/**
+ * Composites each cutout over the background in its own cell and lays the
+ * cells out on a sheet; overlays and captions are drawn once over the sheet
+ * @param {Object} params
+ * @param {Object} params.layout - Entry of PHOTO_LAYOUTS
+ * @param {string} params.backgroundSrc - Background image URL
+ * @param {string[]} params.foregroundSrcs - Cutout data URLs, one per cell
+ * @param {Object} params.settings - Resolved compositing settings (see settings.js)
+ * @param {Object[]} params.overlays - Overlay layer definitions
+ * @param {Object} params.textValues - Token values for text overlays
+ * @param {Object} params.output - { format, quality }; the layout sets the size
+ * @param {HTMLCanvasElement} params.canvas - Canvas to render the sheet into (default: a new one)
+ * @returns {Promise<Object>} - { combinedImage }
+ */
+export const composeLayout = async ({
+  layout,
+  backgroundSrc,
+  foregroundSrcs,
+  settings = DEFAULT_COMPOSITING_SETTINGS,
+  overlays = [],
+  textValues = {},
+  output = DEFAULT_OUTPUT,
+  canvas = createCanvas(layout.width, layout.height)
+}) => {
+  const cells = computeLayoutCells(layout);
+  const [shots, preparedOverlays] = await Promise.all([
+    Promise.all(
+      foregroundSrcs
+        .slice(0, cells.length)
+        .map((foregroundSrc) => prepareLayers({ backgroundSrc, foregroundSrc, settings }))
+    ),
+    prepareOverlays(overlays, textValues)
+  ]);
+
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = layout.fill || '#000000';
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  const cellCanvas = createCanvas(cells[0].width, cells[0].height);
+  shots.forEach((layers, index) => {
+    const cell = cells[index];
+    renderComposition(cellCanvas, layers, { width: cell.width, height: cell.height, settings });
+    ctx.drawImage(cellCanvas, cell.x, cell.y);
+  });
+
+  preparedOverlays.forEach((overlay) => drawOverlay(ctx, overlay, layout.width, layout.height));
+
+  return { combinedImage: encodeCanvas(canvas, output) };
+};
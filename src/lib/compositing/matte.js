@@ -0,0 +1,178 @@
+import { createCanvas } from '../imageUtils';
+
+// Erosion/dilation and feather radii are capped to keep refinement fast on kiosk CPUs
+const MAX_RADIUS = 12;
+
+// Neighbourhood used to estimate the subject's own colour near its edge
+const SPILL_RADIUS = 6;
+
+const clampRadius = (radius) => Math.min(MAX_RADIUS, Math.max(0, Math.round(radius)));
+
+// Sliding min (erode) or max (dilate) over one axis of a single-channel image
+const rankFilterPass = (source, width, height, radius, horizontal, useMax) => {
+  const output = new Float32Array(source.length);
+  const lineCount = horizontal ? height : width;
+  const lineLength = horizontal ? width : height;
+
+  for (let line = 0; line < lineCount; line++) {
+    for (let i = 0; i < lineLength; i++) {
+      let value = useMax ? 0 : 1;
+      const start = Math.max(0, i - radius);
+      const end = Math.min(lineLength - 1, i + radius);
+      for (let j = start; j <= end; j++) {
+        const sample = horizontal ? source[line * width + j] : source[j * width + line];
+        value = useMax ? Math.max(value, sample) : Math.min(value, sample);
+      }
+      output[horizontal ? line * width + i : i * width + line] = value;
+    }
+  }
+
+  return output;
+};
+
+// Box blur over one axis with a running sum, clamping at the edges
+const boxBlurPass = (source, width, height, radius, horizontal) => {
+  const output = new Float32Array(source.length);
+  const lineCount = horizontal ? height : width;
+  const lineLength = horizontal ? width : height;
+  const windowSize = radius * 2 + 1;
+  const at = (line, i) => {
+    const clamped = Math.min(lineLength - 1, Math.max(0, i));
+    return horizontal ? source[line * width + clamped] : source[clamped * width + line];
+  };
+
+  for (let line = 0; line < lineCount; line++) {
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += at(line, i);
+    }
+    for (let i = 0; i < lineLength; i++) {
+      output[horizontal ? line * width + i : i * width + line] = sum / windowSize;
+      sum += at(line, i + radius + 1) - at(line, i - radius);
+    }
+  }
+
+  return output;
+};
+
+const boxBlur = (values, width, height, radius) =>
+  boxBlurPass(boxBlurPass(values, width, height, radius, true), width, height, radius, false);
+
+/**
+ * Grows (positive radius) or shrinks (negative radius) a matte
+ * @param {Float32Array} alpha - Matte in [0, 1]
+ * @returns {Float32Array} Morphed matte
+ */
+export const morphMatte = (alpha, width, height, radius) => {
+  const size = clampRadius(Math.abs(radius));
+  if (size === 0) return alpha;
+
+  const useMax = radius > 0;
+  return rankFilterPass(
+    rankFilterPass(alpha, width, height, size, true, useMax),
+    width,
+    height,
+    size,
+    false,
+    useMax
+  );
+};
+
+/**
+ * Softens matte edges; two box passes approximate a gaussian
+ * @param {Float32Array} alpha - Matte in [0, 1]
+ * @returns {Float32Array} Feathered matte
+ */
+export const featherMatte = (alpha, width, height, radius) => {
+  const size = clampRadius(radius);
+  if (size === 0) return alpha;
+
+  return boxBlur(boxBlur(alpha, width, height, size), width, height, size);
+};
+
+/**
+ * Pulls the colour of semi-transparent edge pixels toward the colour of
+ * nearby opaque subject pixels, removing spill from the original room
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ * @param {Float32Array} alpha - Matte in [0, 1]
+ * @param {number} strength - 0 (off) to 1 (replace edge colour entirely)
+ */
+export const decontaminateColors = (data, alpha, width, height, strength) => {
+  if (strength <= 0) return;
+
+  const pixels = width * height;
+  const weights = new Float32Array(pixels);
+  const channels = [new Float32Array(pixels), new Float32Array(pixels), new Float32Array(pixels)];
+
+  // Weight by alpha^4 so the estimate is dominated by solid subject pixels
+  for (let i = 0; i < pixels; i++) {
+    const weight = alpha[i] ** 4;
+    weights[i] = weight;
+    for (let c = 0; c < 3; c++) {
+      channels[c][i] = data[i * 4 + c] * weight;
+    }
+  }
+
+  const blurredWeights = boxBlur(weights, width, height, SPILL_RADIUS);
+  const blurredChannels = channels.map((channel) => boxBlur(channel, width, height, SPILL_RADIUS));
+
+  for (let i = 0; i < pixels; i++) {
+    if (alpha[i] <= 0 || alpha[i] >= 1 || blurredWeights[i] <= 0) continue;
+
+    const t = Math.min(1, strength) * (1 - alpha[i]);
+    for (let c = 0; c < 3; c++) {
+      const interior = blurredChannels[c][i] / blurredWeights[i];
+      data[i * 4 + c] = data[i * 4 + c] * (1 - t) + interior * t;
+    }
+  }
+};
+
+/**
+ * Applies matte post-processing to RGBA pixels in place
+ * @param {ImageData} imageData - { data, width, height }
+ * @param {Object} settings - Matte settings
+ * @param {number} settings.shrinkGrow - Pixels to grow (+) or shrink (-) the mask
+ * @param {number} settings.feather - Edge feather radius in pixels
+ * @param {number} settings.decontaminate - Colour spill removal strength, 0 to 1
+ * @returns {ImageData} The same imageData
+ */
+export const refineMatte = (imageData, { shrinkGrow = 0, feather = 0, decontaminate = 0 } = {}) => {
+  const { data, width, height } = imageData;
+  const pixels = width * height;
+
+  let alpha = new Float32Array(pixels);
+  for (let i = 0; i < pixels; i++) {
+    alpha[i] = data[i * 4 + 3] / 255;
+  }
+
+  decontaminateColors(data, alpha, width, height, decontaminate);
+  alpha = morphMatte(alpha, width, height, shrinkGrow);
+  alpha = featherMatte(alpha, width, height, feather);
+
+  for (let i = 0; i < pixels; i++) {
+    data[i * 4 + 3] = Math.round(alpha[i] * 255);
+  }
+
+  return imageData;
+};
+
+/**
+ * Returns a refined copy of a cutout, or the cutout itself when every
+ * refinement is disabled
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @param {Object} settings - Matte settings (see refineMatte)
+ * @returns {CanvasImageSource} Refined cutout
+ */
+export const refineSubject = (subject, settings = {}) => {
+  const { shrinkGrow = 0, feather = 0, decontaminate = 0 } = settings;
+  if (!shrinkGrow && !feather && !decontaminate) return subject;
+
+  const canvas = createCanvas(subject.width, subject.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(subject, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  ctx.putImageData(refineMatte(imageData, settings), 0, 0);
+
+  return canvas;
+};
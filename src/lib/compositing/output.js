@@ -0,0 +1,78 @@
+import { createCanvas } from '../imageUtils';
+
+export const OUTPUT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpeg', lossy: true },
+  png: { mimeType: 'image/png', extension: 'png', lossy: false },
+  webp: { mimeType: 'image/webp', extension: 'webp', lossy: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', lossy: true }
+};
+
+export const DEFAULT_OUTPUT = { format: 'jpeg', quality: 0.8 };
+
+const supportCache = {};
+
+/**
+ * Whether this browser's canvas can encode a format; browsers silently
+ * fall back to PNG for types they cannot encode
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @returns {boolean}
+ */
+export const isOutputFormatSupported = (format) => {
+  const info = OUTPUT_FORMATS[format];
+  if (!info) return false;
+
+  if (!(format in supportCache)) {
+    const dataURL = createCanvas(1, 1).toDataURL(info.mimeType);
+    supportCache[format] = typeof dataURL === 'string' && dataURL.startsWith(`data:${info.mimeType}`);
+  }
+  return supportCache[format];
+};
+
+/**
+ * Resolves the requested output to one this browser can produce
+ * @param {Object} output - { format, quality }
+ * @returns {Object} - { format, quality } with format falling back to jpeg
+ */
+export const resolveOutput = (output = DEFAULT_OUTPUT) => {
+  const format = isOutputFormatSupported(output.format) ? output.format : DEFAULT_OUTPUT.format;
+  if (format !== output.format) {
+    console.warn(`Output format "${output.format}" is not supported here, using ${format}`);
+  }
+
+  const quality = Math.min(1, Math.max(0.1, output.quality ?? DEFAULT_OUTPUT.quality));
+  return { format, quality };
+};
+
+/**
+ * Encodes a canvas in the requested output format
+ * @param {HTMLCanvasElement} canvas - Rendered canvas
+ * @param {Object} output - { format, quality }
+ * @returns {string} Data URL
+ */
+export const encodeCanvas = (canvas, output = DEFAULT_OUTPUT) => {
+  const { format, quality } = resolveOutput(output);
+  const info = OUTPUT_FORMATS[format];
+  return info.lossy ? canvas.toDataURL(info.mimeType, quality) : canvas.toDataURL(info.mimeType);
+};
+
+/**
+ * Format details of an encoded image, for upload content type and file name
+ * @param {string} dataURL - Encoded image
+ * @returns {Object} - { mimeType, extension }
+ */
+export const getDataURLFormat = (dataURL) => {
+  const mimeType = dataURL.slice(5, dataURL.indexOf(';'));
+  const known = Object.values(OUTPUT_FORMATS).find((info) => info.mimeType === mimeType);
+  return known || { mimeType, extension: mimeType.split('/')[1] || 'bin' };
+};
+
+/**
+ * Lossless PNG of the processed cutout alone, keeping its transparency
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @returns {string} PNG data URL
+ */
+export const encodeCutout = (subject) => {
+  const canvas = createCanvas(subject.width, subject.height);
+  canvas.getContext('2d').drawImage(subject, 0, 0);
+  return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,276 @@
+import { loadImage } from '../imageUtils';
+
+/*
+ * Overlay layers are plain data, e.g. from public/overlays.json:
+ *   { "type": "image", "src": "/frames/gold.png", "anchor": "fill" }
+ *   { "type": "image", "src": "/logos/sponsor.png", "anchor": "bottom-right", "width": 0.22, "margin": 0.03 }
+ *   { "type": "text", "text": "{date}", "anchor": "top-left", "fontSize": 0.025, "color": "#ffffff" }
+ * Common fields:
+ *   z       - stacking order; the subject sits at SUBJECT_Z (default z: 200, above it)
+ *   opacity - 0 to 1 (default: 1)
+ *   anchor  - fill | center | top-left | top | top-right | left | right | bottom-left | bottom | bottom-right
+ *   margin  - distance from the anchored edges, as a fraction of canvas width (default: 0)
+ *   enabled - set to false to keep a layer in the file without drawing it
+ * Image layers size by width or height (fractions of canvas width/height).
+ * Text layers take fontSize (fraction of canvas height), fontFamily,
+ * fontWeight, color, strokeColor, strokeWidth (fraction of font size) and
+ * maxWidth (fraction of canvas width, the font shrinks to fit);
+ * {tokens} in the text are replaced from the composition's text values.
+ */
+
+export const SUBJECT_Z = 100;
+const DEFAULT_OVERLAY_Z = 200;
+
+const OVERLAY_TYPES = ['image', 'text'];
+
+const ANCHORS = {
+  'top-left': [0, 0],
+  top: [0.5, 0],
+  'top-right': [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  'bottom-left': [0, 1],
+  bottom: [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+/**
+ * Checks a layer definition
+ * @param {Object} layer - Overlay definition
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateOverlayLayer = (layer) => {
+  if (!layer || typeof layer !== 'object') return 'layer must be an object';
+  if (!OVERLAY_TYPES.includes(layer.type)) return `unknown layer type "${layer.type}"`;
+  if (layer.type === 'image' && typeof layer.src !== 'string') return 'image layer needs a src';
+  if (layer.type === 'text' && typeof layer.text !== 'string') return 'text layer needs a text';
+  if (layer.anchor && layer.anchor !== 'fill' && !ANCHORS[layer.anchor]) return `unknown anchor "${layer.anchor}"`;
+  return null;
+};
+
+/**
+ * Positions an item of a given size against an anchor
+ * @returns {Object} - { x, y, width, height }
+ */
+export const computeAnchorRect = (anchor, width, height, canvasWidth, canvasHeight, margin = 0) => {
+  if (anchor === 'fill') {
+    return { x: 0, y: 0, width: canvasWidth, height: canvasHeight };
+  }
+
+  const [ax, ay] = ANCHORS[anchor] || ANCHORS.center;
+  const marginPx = margin * canvasWidth;
+
+  return {
+    x: marginPx + ax * (canvasWidth - width - 2 * marginPx),
+    y: marginPx + ay * (canvasHeight - height - 2 * marginPx),
+    width,
+    height
+  };
+};
+
+/**
+ * Replaces {token} placeholders; unknown tokens are left as they are
+ * @param {string} template - Text with {tokens}
+ * @param {Object} values - Token values
+ * @returns {string} Formatted text
+ */
+export const formatOverlayText = (template, values = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? String(values[key]) : match));
+
+/**
+ * Default token values available to text layers, plus any extras
+ * @param {Object} extra - Additional values (e.g. label)
+ * @returns {Object} - { date, time, ...extra }
+ */
+export const buildTextValues = (extra = {}) => {
+  const now = new Date();
+  return {
+    date: now.toLocaleDateString(),
+    time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    ...extra
+  };
+};
+
+const manifestCache = new Map();
+
+/**
+ * Loads an overlay manifest ({ "layers": [...] }). Invalid layers are
+ * skipped with a warning; a missing manifest yields no layers.
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object[]>} Valid layer definitions
+ */
+export const loadOverlayManifest = (url) => {
+  if (!url) return Promise.resolve([]);
+
+  if (!manifestCache.has(url)) {
+    const request = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Overlay manifest error: ${response.status}`);
+        return response.json();
+      })
+      .then((manifest) => {
+        const layers = Array.isArray(manifest?.layers) ? manifest.layers : [];
+        return layers.filter((layer, index) => {
+          const problem = validateOverlayLayer(layer);
+          if (problem) console.warn(`Skipping overlay ${index} in ${url}: ${problem}`);
+          return !problem;
+        });
+      })
+      .catch((error) => {
+        console.warn('Overlay manifest unavailable:', error);
+        manifestCache.delete(url);
+        return [];
+      });
+    manifestCache.set(url, request);
+  }
+
+  return manifestCache.get(url);
+};
+
+/**
+ * Overlay definitions for a composition: the manifest's layers followed by
+ * the background's own, without disabled ones
+ * @param {string} manifestUrl - Overlay manifest URL
+ * @param {Object} background - Background entry (may carry overlays)
+ * @returns {Promise<Object[]>} Layer definitions
+ */
+export const loadOverlays = async (manifestUrl, background) => {
+  const manifestLayers = await loadOverlayManifest(manifestUrl);
+  const backgroundLayers = (background?.overlays || []).filter((layer) => !validateOverlayLayer(layer));
+  return [...manifestLayers, ...backgroundLayers].filter((layer) => layer.enabled !== false);
+};
+
+const fontString = (layer, fontSize) =>
+  `${layer.fontWeight || 600} ${fontSize}px ${layer.fontFamily || 'Gentona, sans-serif'}`;
+
+const textFont = (layer, canvasHeight) =>
+  fontString(layer, Math.round((layer.fontSize || 0.03) * canvasHeight));
+
+// Caption layer look; backgrounds may override any of these
+const CAPTION_STYLE = {
+  type: 'text',
+  anchor: 'bottom',
+  margin: 0.06,
+  fontSize: 0.045,
+  fontWeight: 600,
+  color: '#ffffff',
+  strokeColor: 'rgba(0, 0, 0, 0.55)',
+  strokeWidth: 0.12,
+  maxWidth: 0.9,
+  z: 300
+};
+
+/**
+ * Caption text layer for a background, using its template when it has one
+ * @param {Object} background - Background entry; caption: false disables, caption: { template, anonymousTemplate, ...style } customises
+ * @param {string} name - Guest name, may be empty
+ * @param {Object} defaults - { enabled, template, anonymousTemplate }
+ * @returns {Object[]} Zero or one text layer definitions
+ */
+export const buildCaptionLayers = (background, name, defaults) => {
+  if (!defaults.enabled || background?.caption === false) return [];
+
+  const { template, anonymousTemplate, ...style } = { ...defaults, ...(background?.caption || {}) };
+  delete style.enabled;
+
+  const text = name?.trim() ? template : anonymousTemplate;
+  if (!text) return [];
+
+  return [{ ...CAPTION_STYLE, ...style, text }];
+};
+
+/**
+ * Loads overlay images and fonts, resolves text and sorts by z. Overlays are
+ * decoration, so an image that fails to load is skipped rather than failing
+ * the photo.
+ * @param {Object[]} definitions - Layer definitions
+ * @param {Object} textValues - Token values for text layers
+ * @returns {Promise<Object[]>} Ready layers, lowest z first
+ */
+export const prepareOverlays = async (definitions = [], textValues = {}) => {
+  const layers = await Promise.all(
+    definitions.map(async (layer) => {
+      if (layer.type === 'image') {
+        try {
+          return { ...layer, image: await loadImage(layer.src) };
+        } catch (error) {
+          console.warn(`Skipping overlay ${layer.src}:`, error);
+          return null;
+        }
+      }
+
+      if (typeof document !== 'undefined' && document.fonts?.load) {
+        await document.fonts.load(textFont(layer, 100)).catch(() => {});
+      }
+      return { ...layer, text: formatOverlayText(layer.text, textValues) };
+    })
+  );
+
+  return layers
+    .filter(Boolean)
+    .map((layer) => ({ ...layer, z: layer.z ?? DEFAULT_OVERLAY_Z }))
+    .sort((a, b) => a.z - b.z);
+};
+
+/**
+ * Draws one prepared overlay layer
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} layer - Layer from prepareOverlays
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+export const drawOverlay = (ctx, layer, canvasWidth, canvasHeight) => {
+  const anchor = layer.anchor || (layer.type === 'image' ? 'fill' : 'center');
+
+  ctx.save();
+  ctx.globalAlpha = layer.opacity ?? 1;
+
+  if (layer.type === 'image') {
+    const { image } = layer;
+    let width = image.width;
+    let height = image.height;
+    if (layer.width) {
+      width = layer.width * canvasWidth;
+      height = (width / image.width) * image.height;
+    } else if (layer.height) {
+      height = layer.height * canvasHeight;
+      width = (height / image.height) * image.width;
+    }
+
+    const rect = computeAnchorRect(anchor, width, height, canvasWidth, canvasHeight, layer.margin);
+    ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+  } else {
+    let fontSize = Math.round((layer.fontSize || 0.03) * canvasHeight);
+    ctx.font = fontString(layer, fontSize);
+    ctx.textBaseline = 'top';
+
+    let width = ctx.measureText(layer.text).width;
+    const maxWidth = layer.maxWidth ? layer.maxWidth * canvasWidth : Infinity;
+    if (width > maxWidth) {
+      fontSize = Math.floor((fontSize * maxWidth) / width);
+      ctx.font = fontString(layer, fontSize);
+      width = ctx.measureText(layer.text).width;
+    }
+
+    const rect = computeAnchorRect(
+      anchor === 'fill' ? 'center' : anchor,
+      width,
+      fontSize,
+      canvasWidth,
+      canvasHeight,
+      layer.margin
+    );
+
+    if (layer.strokeColor) {
+      ctx.strokeStyle = layer.strokeColor;
+      ctx.lineWidth = (layer.strokeWidth || 0.08) * fontSize;
+      ctx.lineJoin = 'round';
+      ctx.strokeText(layer.text, rect.x, rect.y);
+    }
+    ctx.fillStyle = layer.color || '#ffffff';
+    ctx.fillText(layer.text, rect.x, rect.y);
+  }
+
+  ctx.restore();
+};
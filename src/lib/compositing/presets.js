@@ -0,0 +1,28 @@
+// Exact output sizes in pixels. Print sizes are at 300 DPI.
+// 'auto' keeps the size derived from the background (computeCanvasSize).
+export const OUTPUT_PRESETS = {
+  auto: { label: 'Match background' },
+  'print-4x6': { label: '4x6 print', width: 1200, height: 1800 },
+  'print-4x6-landscape': { label: '6x4 print', width: 1800, height: 1200 },
+  'print-5x7': { label: '5x7 print', width: 1500, height: 2100 },
+  'print-5x7-landscape': { label: '7x5 print', width: 2100, height: 1500 },
+  'instagram-square': { label: 'Instagram square', width: 1080, height: 1080 },
+  'instagram-portrait': { label: 'Instagram portrait', width: 1080, height: 1350 },
+  story: { label: 'Story (9:16)', width: 1080, height: 1920 }
+};
+
+/**
+ * Pixel size for a named preset
+ * @param {string} presetName - Key of OUTPUT_PRESETS
+ * @returns {Object|null} - { width, height }, or null for 'auto' and unknown names
+ */
+export const getPresetSize = (presetName) => {
+  const preset = OUTPUT_PRESETS[presetName];
+  if (!preset?.width) {
+    if (presetName && !preset) {
+      console.warn(`Unknown output preset "${presetName}", sizing from the background`);
+    }
+    return null;
+  }
+  return { width: preset.width, height: preset.height };
+};
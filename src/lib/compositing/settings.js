@@ -0,0 +1,66 @@
+// Compositing settings applied when no background overrides them. A
+// background entry may carry any subset of these sections, e.g.
+//   { id: 'bg5', src: '/bg5.jpg', label: 'Worli Sea Link', matte: { decontaminate: 0.8 } }
+export const DEFAULT_COMPOSITING_SETTINGS = {
+  // How the background fills the output size (see fit.js). focalPoint is the
+  // point of interest as fractions of the background, kept in frame when cropping.
+  fit: {
+    mode: 'cover',
+    focalPoint: { x: 0.5, y: 0.5 },
+    fill: '#000000'
+  },
+  matte: {
+    shrinkGrow: -1,
+    feather: 2,
+    decontaminate: 0.5
+  },
+  harmonize: {
+    enabled: true,
+    strength: 0.5
+  },
+  // direction: where the shadow falls, in degrees (0 = right, 90 = away, 180 = left)
+  shadow: {
+    enabled: true,
+    direction: 150,
+    length: 0.35,
+    blur: 12,
+    opacity: 0.35,
+    color: '#000000'
+  },
+  // Auto-framing of the guest (see framing.js): head height as a fraction of
+  // the canvas height, feet on the baseline (from the top), body centred at
+  // centerX. Guests cut off at the bottom of the camera frame are anchored to
+  // the bottom edge with croppedHeadHeight instead.
+  framing: {
+    enabled: true,
+    headHeight: 0.1,
+    croppedHeadHeight: 0.18,
+    baseline: 0.95,
+    centerX: 0.5
+  },
+  // Where guests belong on a background, as fractions of the background image
+  // so it follows the fit crop. box - { left, top, right, bottom } area the
+  // guest stands in, feet on its bottom edge; horizon - height of the horizon,
+  // where a standing guest's eyes go; maxScale - cap on the subject scale
+  // (1 = cutout fitted to the canvas). Overrides framing where set.
+  placement: {
+    box: null,
+    horizon: null,
+    maxScale: null
+  }
+};
+
+/**
+ * Merges a background's compositing overrides over the defaults, one
+ * section at a time
+ * @param {Object} background - Background entry (may be null)
+ * @param {Object} defaults - Base settings (default: DEFAULT_COMPOSITING_SETTINGS)
+ * @returns {Object} Resolved settings
+ */
+export const resolveCompositingSettings = (background, defaults = DEFAULT_COMPOSITING_SETTINGS) => {
+  const settings = {};
+  for (const [section, values] of Object.entries(defaults)) {
+    settings[section] = { ...values, ...(background?.[section] || {}) };
+  }
+  return settings;
+};
@@ -0,0 +1,67 @@
+import { createCanvas } from '../imageUtils';
+import { computeSubjectRect, applySubjectTransform } from './subjectTransform';
+
+/**
+ * Blurred single-colour silhouette of a cutout
+ * @param {CanvasImageSource} subject - Cutout with alpha
+ * @param {Object} settings - { blur, color }
+ * @returns {HTMLCanvasElement} Silhouette of the subject's size
+ */
+export const createShadowImage = (subject, { blur = 12, color = '#000000' } = {}) => {
+  const canvas = createCanvas(subject.width, subject.height);
+  const ctx = canvas.getContext('2d');
+
+  if (blur > 0) {
+    ctx.filter = `blur(${blur}px)`;
+  }
+  ctx.drawImage(subject, 0, 0);
+  ctx.filter = 'none';
+
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = 'source-over';
+
+  return canvas;
+};
+
+/**
+ * Affine matrix, in subject-local coordinates, that lays the silhouette on
+ * the ground: the feet line stays fixed and every point above it is pushed
+ * along the shadow direction, shortened by length
+ * @param {number} feetY - Local y of the subject's feet
+ * @param {number} direction - Direction the shadow falls in degrees (0 = right, 90 = up/away, 180 = left)
+ * @param {number} length - Shadow length relative to subject height
+ * @returns {number[]} [a, b, c, d, e, f] for ctx.transform
+ */
+export const computeShadowMatrix = (feetY, direction, length) => {
+  const radians = (direction * Math.PI) / 180;
+  const dx = Math.cos(radians) * length;
+  const dy = Math.sin(radians) * length;
+
+  // x' = x + (feetY - y) * dx,  y' = feetY - (feetY - y) * dy
+  return [1, 0, -dx, dy, dx * feetY, feetY * (1 - dy)];
+};
+
+/**
+ * Draws the ground shadow under a placed subject
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLCanvasElement} shadow - Silhouette from createShadowImage
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} transform - Subject transform
+ * @param {Object} bounds - Subject bounds as fractions (measureSubjectBounds)
+ * @param {Object} settings - { direction, length, opacity }
+ */
+export const drawSubjectShadow = (ctx, shadow, canvasWidth, canvasHeight, transform, bounds, settings) => {
+  const { direction = 150, length = 0.35, opacity = 0.35 } = settings;
+  const rect = computeSubjectRect(shadow.width, shadow.height, canvasWidth, canvasHeight);
+  const feetY = -rect.height / 2 + bounds.bottom * rect.height;
+
+  ctx.save();
+  applySubjectTransform(ctx, rect, canvasWidth, canvasHeight, transform);
+  ctx.transform(...computeShadowMatrix(feetY, direction, length));
+  ctx.globalAlpha = opacity;
+  ctx.drawImage(shadow, -rect.width / 2, -rect.height / 2, rect.width, rect.height);
+  ctx.restore();
+};
@@ -0,0 +1,97 @@
+// Subject transforms are resolution independent so that the editor preview
+// and the full resolution render produce the same composition:
+//   x, y     - offset of the subject centre, as a fraction of canvas width/height
+//   scale    - multiplier on the size at which the subject fits the canvas
+//   rotation - clockwise rotation in degrees
+export const DEFAULT_SUBJECT_TRANSFORM = { x: 0, y: 0, scale: 1, rotation: 0 };
+
+export const MIN_SUBJECT_SCALE = 0.2;
+export const MAX_SUBJECT_SCALE = 3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const centroid = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+});
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+const angle = (a, b) => Math.atan2(b.y - a.y, b.x - a.x);
+
+/**
+ * Clamps a transform to the supported range
+ * @param {Object} transform - Subject transform
+ * @returns {Object} Normalised transform
+ */
+export const normalizeSubjectTransform = (transform) => ({
+  x: clamp(transform.x, -1, 1),
+  y: clamp(transform.y, -1, 1),
+  scale: clamp(transform.scale, MIN_SUBJECT_SCALE, MAX_SUBJECT_SCALE),
+  // % keeps the sign, so wrap twice to handle any negative angle
+  rotation: ((((transform.rotation + 180) % 360) + 360) % 360) - 180
+});
+
+/**
+ * Derives a transform from a drag (one pointer) or pinch/rotate (two pointers)
+ * @param {Object} start - Transform when the gesture started
+ * @param {Object[]} from - Pointer positions when the gesture started, in display pixels
+ * @param {Object[]} to - Current pointer positions, in display pixels
+ * @param {Object} size - Displayed canvas size - { width, height }
+ * @returns {Object} New transform
+ */
+export const computeGestureTransform = (start, from, to, size) => {
+  const startCentre = centroid(from);
+  const currentCentre = centroid(to);
+  let { scale, rotation } = start;
+
+  if (from.length >= 2 && to.length >= 2) {
+    const startDistance = distance(from[0], from[1]);
+    if (startDistance > 0) {
+      scale = start.scale * (distance(to[0], to[1]) / startDistance);
+    }
+    rotation = start.rotation + ((angle(to[0], to[1]) - angle(from[0], from[1])) * 180) / Math.PI;
+  }
+
+  return normalizeSubjectTransform({
+    x: start.x + (currentCentre.x - startCentre.x) / size.width,
+    y: start.y + (currentCentre.y - startCentre.y) / size.height,
+    scale,
+    rotation
+  });
+};
+
+/**
+ * Rectangle in which the whole subject fits the canvas, centred
+ * @returns {Object} - { x, y, width, height }
+ */
+export const computeSubjectRect = (subjectWidth, subjectHeight, canvasWidth, canvasHeight) => {
+  const subjectAspectRatio = subjectWidth / subjectHeight;
+  const canvasAspectRatio = canvasWidth / canvasHeight;
+
+  if (subjectAspectRatio > canvasAspectRatio) {
+    const height = canvasWidth / subjectAspectRatio;
+    return { x: 0, y: (canvasHeight - height) / 2, width: canvasWidth, height };
+  }
+
+  const width = canvasHeight * subjectAspectRatio;
+  return { x: (canvasWidth - width) / 2, y: 0, width, height: canvasHeight };
+};
+
+/**
+ * Moves the context origin to the subject centre and applies the transform,
+ * so the subject (or anything derived from it) is drawn centred at 0,0
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} rect - Fitted subject rectangle (computeSubjectRect)
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} transform - Subject transform
+ */
+export const applySubjectTransform = (ctx, rect, canvasWidth, canvasHeight, transform) => {
+  ctx.translate(
+    rect.x + rect.width / 2 + transform.x * canvasWidth,
+    rect.y + rect.height / 2 + transform.y * canvasHeight
+  );
+  ctx.rotate((transform.rotation * Math.PI) / 180);
+  ctx.scale(transform.scale, transform.scale);
+};
@@ -0,0 +1,173 @@
+import { createCanvas } from './imageUtils';
+import { importPhotoFile } from './photoImport';
+
+/*
+ * Backgrounds made on the spot instead of picked from the catalog: generated
+ * from a spec - { id, type: 'solid' | 'gradient' | 'pattern', label, colors,
+ * angle (gradients, degrees), pattern (patterns) } - or uploaded by the
+ * guest. Both become an ordinary background object with a data URL src, so
+ * the compositor, live preview and output sizing treat them like catalog
+ * entries.
+ */
+
+// Portrait story size, matching the kiosk screen
+export const CUSTOM_BACKGROUND_SIZE = { width: 1080, height: 1920 };
+
+// There is no place to greet guests from, so only named guests get a caption
+const CUSTOM_CAPTION = { template: 'Hello, {name}!', anonymousTemplate: '' };
+
+export const CUSTOM_BACKGROUND_PRESETS = [
+  { id: 'solid-white', type: 'solid', label: 'White', colors: ['#ffffff'] },
+  { id: 'solid-black', type: 'solid', label: 'Black', colors: ['#111111'] },
+  { id: 'solid-blue', type: 'solid', label: 'Blue', colors: ['#2244a2'] },
+  { id: 'solid-green', type: 'solid', label: 'Green', colors: ['#2e7d32'] },
+  { id: 'solid-pink', type: 'solid', label: 'Pink', colors: ['#f06292'] },
+  { id: 'gradient-sunset', type: 'gradient', label: 'Sunset', colors: ['#ff7e5f', '#feb47b'], angle: 180 },
+  { id: 'gradient-ocean', type: 'gradient', label: 'Ocean', colors: ['#1a2980', '#26d0ce'], angle: 160 },
+  { id: 'gradient-saffron', type: 'gradient', label: 'Tricolour', colors: ['#ff9933', '#ffffff', '#138808'], angle: 180 },
+  { id: 'gradient-night', type: 'gradient', label: 'Night', colors: ['#0f2027', '#2c5364'], angle: 200 },
+  { id: 'pattern-stripes', type: 'pattern', pattern: 'stripes', label: 'Stripes', colors: ['#2244a2', '#3355c4'] },
+  { id: 'pattern-dots', type: 'pattern', pattern: 'dots', label: 'Polka Dots', colors: ['#f8bbd0', '#ffffff'] },
+  { id: 'pattern-checks', type: 'pattern', pattern: 'checks', label: 'Checks', colors: ['#ffffff', '#e0e0e0'] },
+  { id: 'pattern-confetti', type: 'pattern', pattern: 'confetti', label: 'Confetti', colors: ['#1b1b3a', '#ffd54f', '#f06292', '#4fc3f7'] }
+];
+
+// Deterministic random numbers, so a pattern looks the same in the preview and the result
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+// Pattern generators draw over the first colour, in units scaled to the canvas
+export const PATTERN_GENERATORS = {
+  stripes: (ctx, width, height, [base, accent]) => {
+    const unit = width / 12;
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = unit / 2;
+    for (let x = -height; x < width + height; x += unit) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x + height, height);
+      ctx.stroke();
+    }
+  },
+  dots: (ctx, width, height, [base, accent]) => {
+    const unit = width / 8;
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = accent;
+    for (let row = 0; row * unit < height + unit; row++) {
+      // Every other row shifted by half a unit
+      for (let x = (row % 2) * (unit / 2); x < width + unit; x += unit) {
+        ctx.beginPath();
+        ctx.arc(x, row * unit, unit / 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+  checks: (ctx, width, height, [base, accent]) => {
+    const unit = width / 8;
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = accent;
+    for (let row = 0; row * unit < height; row++) {
+      for (let column = row % 2; column * unit < width; column += 2) {
+        ctx.fillRect(column * unit, row * unit, unit, unit);
+      }
+    }
+  },
+  confetti: (ctx, width, height, [base, ...accents]) => {
+    const random = seededRandom(7);
+    const unit = width / 40;
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, width, height);
+    for (let i = 0; i < 220; i++) {
+      ctx.save();
+      ctx.translate(random() * width, random() * height);
+      ctx.rotate(random() * Math.PI);
+      ctx.fillStyle = accents[i % accents.length];
+      ctx.fillRect(-unit / 2, -unit / 4, unit, unit / 2);
+      ctx.restore();
+    }
+  }
+};
+
+/**
+ * Draws a generated background
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} spec - Background spec (see top of file)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export const drawCustomBackground = (ctx, spec, width, height) => {
+  const { type, colors, angle = 180, pattern } = spec;
+
+  if (type === 'gradient') {
+    // CSS convention: 180deg runs top to bottom
+    const radians = ((angle - 90) * Math.PI) / 180;
+    const reach = (Math.abs(width * Math.cos(radians)) + Math.abs(height * Math.sin(radians))) / 2;
+    const dx = Math.cos(radians) * reach;
+    const dy = Math.sin(radians) * reach;
+    const gradient = ctx.createLinearGradient(width / 2 - dx, height / 2 - dy, width / 2 + dx, height / 2 + dy);
+    colors.forEach((color, index) => gradient.addColorStop(index / Math.max(1, colors.length - 1), color));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  if (type === 'pattern') {
+    const generator = PATTERN_GENERATORS[pattern];
+    if (!generator) throw new Error(`Unknown background pattern "${pattern}"`);
+    generator(ctx, width, height, colors);
+    return;
+  }
+
+  ctx.fillStyle = colors[0];
+  ctx.fillRect(0, 0, width, height);
+};
+
+/**
+ * Renders a generated background onto a new canvas
+ * @param {Object} spec - Background spec
+ * @param {Object} size - { width, height }
+ * @returns {HTMLCanvasElement}
+ */
+export const renderCustomBackground = (spec, { width, height } = CUSTOM_BACKGROUND_SIZE) => {
+  const canvas = createCanvas(width, height);
+  drawCustomBackground(canvas.getContext('2d'), spec, width, height);
+  return canvas;
+};
+
+/**
+ * Background object for a generated background
+ * @param {Object} spec - Background spec
+ * @param {Object} options - { size, quality }
+ * @returns {Object} Background with a JPEG data URL src
+ */
+export const createCustomBackground = (spec, { size = CUSTOM_BACKGROUND_SIZE, quality = 0.92 } = {}) => ({
+  id: `custom-${spec.id}`,
+  label: spec.label,
+  src: renderCustomBackground(spec, size).toDataURL('image/jpeg', quality),
+  custom: true,
+  caption: CUSTOM_CAPTION
+});
+
+/**
+ * Background object for an image the guest uploads, turned upright and
+ * scaled down like an imported photo
+ * @param {File} file - Image file
+ * @param {Object} options - { maxSize }
+ * @returns {Promise<Object>} Background with a JPEG data URL src
+ */
+export const createUploadedBackground = async (file, { maxSize = 1920 } = {}) => ({
+  id: 'custom-upload',
+  label: 'Your Background',
+  src: await importPhotoFile(file, { maxSize }),
+  custom: true,
+  caption: CUSTOM_CAPTION
+});
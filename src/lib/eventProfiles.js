@@ -0,0 +1,299 @@
+import { OUTPUT_PRESETS } from './compositing/presets';
+
+/*
+ * Event profiles let one build serve weddings, corporate events and fairs.
+ * They live in a JSON manifest, e.g. public/events.json:
+ *   { "version": 1, "events": [
+ *     { "id": "smith-wedding", "name": "The Smith Wedding",
+ *       "startDate": "2026-06-12", "endDate": "2026-06-14",
+ *       "backgrounds": ["bg1", "bg2"], "backgroundCategories": ["Palaces"],
+ *       "overlayManifestUrl": "/overlays/wedding.json",
+ *       "colors": { "brand": "#8e244d", "highlight": "#d4af37" },
+ *       "pageBackground": "/events/wedding.jpg",
+ *       "outputPreset": "print-4x6", "countdownSeconds": 5,
+ *       "steps": { "name": true, "burst": false, "clip": false },
+ *       "caption": { "template": "Thanks for coming, {name}!" } }
+ *   ] }
+ * id and name are required; everything else overrides the build's defaults
+ * (see config/appConfig.js) only when present. Backgrounds are limited to the
+ * listed ids and categories when either is given. A profile with a date range
+ * becomes active by itself on those days (inclusive, kiosk local time);
+ * profiles without one are only used when chosen by URL or by the operator.
+ */
+
+export const EVENT_PROFILES_VERSION = 1;
+
+// Steps a profile can switch on or off, and the config section each controls
+export const EVENT_STEPS = {
+  name: 'nameStep',
+  review: 'review',
+  editor: 'editor',
+  burst: 'burst',
+  clip: 'clip',
+  import: 'import',
+  customBackgrounds: 'customBackgrounds'
+};
+
+// CSS custom properties in index.css set from a profile's colors
+const THEME_PROPERTIES = {
+  brand: '--brand-color',
+  highlight: '--brand-highlight'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STORAGE_KEY = 'booth.eventProfile';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+/**
+ * Checks an event profile
+ * @param {Object} profile - Profile definition
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateEventProfile = (profile) => {
+  if (!isObject(profile)) return 'profile must be an object';
+  for (const field of ['id', 'name']) {
+    if (!isNonEmptyString(profile[field])) return `"${field}" must be a non-empty string`;
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (profile[field] !== undefined && !DATE_PATTERN.test(profile[field])) return `"${field}" must be a YYYY-MM-DD date`;
+  }
+  if (profile.startDate && profile.endDate && profile.startDate > profile.endDate) {
+    return '"startDate" is after "endDate"';
+  }
+  for (const field of ['backgrounds', 'backgroundCategories']) {
+    if (profile[field] !== undefined && !isStringList(profile[field])) return `"${field}" must be a list of strings`;
+  }
+  if (profile.overlayManifestUrl !== undefined && typeof profile.overlayManifestUrl !== 'string') {
+    return '"overlayManifestUrl" must be a string';
+  }
+  if (profile.pageBackground !== undefined && !isNonEmptyString(profile.pageBackground)) {
+    return '"pageBackground" must be a non-empty string';
+  }
+  if (profile.colors !== undefined) {
+    if (!isObject(profile.colors)) return '"colors" must be an object';
+    const unknown = Object.keys(profile.colors).find((key) => !THEME_PROPERTIES[key]);
+    if (unknown) return `unknown color "${unknown}"`;
+    if (!Object.values(profile.colors).every(isNonEmptyString)) return 'colors must be strings';
+  }
+  if (profile.outputPreset !== undefined && !OUTPUT_PRESETS[profile.outputPreset]) {
+    return `unknown output preset "${profile.outputPreset}"`;
+  }
+  if (
+    profile.countdownSeconds !== undefined &&
+    !(Number.isInteger(profile.countdownSeconds) && profile.countdownSeconds >= 0)
+  ) {
+    return '"countdownSeconds" must be a whole number of seconds';
+  }
+  if (profile.steps !== undefined) {
+    if (!isObject(profile.steps)) return '"steps" must be an object';
+    const unknown = Object.keys(profile.steps).find((step) => !EVENT_STEPS[step]);
+    if (unknown) return `unknown step "${unknown}"`;
+    if (!Object.values(profile.steps).every((enabled) => typeof enabled === 'boolean')) {
+      return 'steps must be true or false';
+    }
+  }
+  if (profile.caption !== undefined && profile.caption !== false && !isObject(profile.caption)) {
+    return '"caption" must be an object or false';
+  }
+  return null;
+};
+
+/**
+ * Valid profiles of a manifest; broken ones are reported and skipped, since
+ * the booth still works with its defaults
+ * @param {Object} manifest - Parsed JSON
+ * @returns {Object} - { profiles, problems }
+ */
+export const parseEventProfiles = (manifest) => {
+  if (!isObject(manifest) || !Array.isArray(manifest.events)) {
+    return { profiles: [], problems: ['"events" must be a list'] };
+  }
+  if (manifest.version !== undefined && manifest.version !== EVENT_PROFILES_VERSION) {
+    return { profiles: [], problems: [`unsupported event profiles version ${manifest.version}`] };
+  }
+
+  const profiles = [];
+  const problems = [];
+  const ids = new Set();
+  manifest.events.forEach((profile, index) => {
+    const problem = validateEventProfile(profile) || (ids.has(profile.id) ? `duplicate id "${profile.id}"` : null);
+    if (problem) {
+      problems.push(`event ${index}${isNonEmptyString(profile?.id) ? ` (${profile.id})` : ''}: ${problem}`);
+      return;
+    }
+    ids.add(profile.id);
+    profiles.push(profile);
+  });
+  return { profiles, problems };
+};
+
+/**
+ * Local calendar date in the manifest's format
+ * @param {Date} date - Moment to convert
+ * @returns {string} YYYY-MM-DD
+ */
+export const toLocalDateString = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+
+/**
+ * Whether a profile's date range covers a day. Profiles without dates never
+ * activate by themselves; an open-ended range runs from or until its one date.
+ * @param {Object} profile - Valid profile
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+export const isEventProfileActive = (profile, date) => {
+  if (!profile.startDate && !profile.endDate) return false;
+  const day = toLocalDateString(date);
+  return (!profile.startDate || profile.startDate <= day) && (!profile.endDate || day <= profile.endDate);
+};
+
+/**
+ * Picks the active profile: the one asked for (URL or operator), otherwise
+ * the first whose dates cover today, otherwise none
+ * @param {Object[]} profiles - Valid profiles
+ * @param {Object} options - { requestedId, date }
+ * @returns {Object|null} Profile, or null to run on the defaults
+ */
+export const selectEventProfile = (profiles, { requestedId = '', date = new Date() } = {}) => {
+  if (requestedId) {
+    const requested = profiles.find((profile) => profile.id === requestedId);
+    if (requested) return requested;
+    console.warn(`Unknown event profile "${requestedId}", choosing by date`);
+  }
+  return profiles.find((profile) => isEventProfileActive(profile, date)) || null;
+};
+
+/**
+ * Reads the event the operator chose on this kiosk
+ * @returns {string} Profile id, '' for automatic
+ */
+export const loadChosenEventId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch (error) {
+    console.warn('Could not read the chosen event:', error);
+    return '';
+  }
+};
+
+/**
+ * Saves the operator's event choice on this kiosk. Blocked or full storage
+ * only loses the choice, so it is logged rather than thrown.
+ * @param {string} id - Profile id, '' for automatic
+ */
+export const saveChosenEventId = (id) => {
+  try {
+    if (id) {
+      localStorage.setItem(STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save the chosen event:', error);
+  }
+};
+
+/**
+ * Overrides configuration sections with a profile's settings
+ * @param {Object} config - Sections keyed like EVENT_STEPS values plus
+ *   countdown, output, overlay and caption
+ * @param {Object|null} profile - Active profile
+ * @returns {Object} Config of the same shape; untouched sections are the same objects
+ */
+export const applyEventProfile = (config, profile) => {
+  if (!profile) return config;
+
+  const resolved = { ...config };
+  Object.entries(profile.steps || {}).forEach(([step, enabled]) => {
+    const section = EVENT_STEPS[step];
+    resolved[section] = { ...resolved[section], enabled };
+  });
+  if (profile.countdownSeconds !== undefined) {
+    resolved.countdown = { ...resolved.countdown, seconds: profile.countdownSeconds };
+  }
+  if (profile.outputPreset) {
+    resolved.output = { ...resolved.output, preset: profile.outputPreset };
+  }
+  if (profile.overlayManifestUrl !== undefined) {
+    resolved.overlay = { ...resolved.overlay, manifestUrl: profile.overlayManifestUrl };
+  }
+  if (profile.caption !== undefined) {
+    resolved.caption = profile.caption === false
+      ? { ...resolved.caption, enabled: false }
+      : { ...resolved.caption, ...profile.caption };
+  }
+  return resolved;
+};
+
+/**
+ * Catalog backgrounds an event allows
+ * @param {Object[]} backgrounds - Catalog entries
+ * @param {Object|null} profile - Active profile
+ * @returns {Object[]} Allowed backgrounds in catalog order
+ */
+export const filterBackgroundsForProfile = (backgrounds, profile) => {
+  if (!profile || (!profile.backgrounds && !profile.backgroundCategories)) return backgrounds;
+
+  const ids = new Set(profile.backgrounds || []);
+  const categories = new Set(profile.backgroundCategories || []);
+  return backgrounds.filter((background) => ids.has(background.id) || categories.has(background.category));
+};
+
+/**
+ * Applies a profile's colors and page background to the stylesheet's custom
+ * properties, restoring the stylesheet defaults when there is none
+ * @param {Object|null} profile - Active profile
+ * @param {HTMLElement} root - Element carrying the properties
+ */
+export const applyEventTheme = (profile, root = document.documentElement) => {
+  Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+    const value = profile?.colors?.[key];
+    if (value) {
+      root.style.setProperty(property, value);
+    } else {
+      root.style.removeProperty(property);
+    }
+  });
+  if (profile?.pageBackground) {
+    root.style.setProperty('--page-background', `url(${JSON.stringify(profile.pageBackground)})`);
+  } else {
+    root.style.removeProperty('--page-background');
+  }
+};
+
+const profilesCache = new Map();
+
+/**
+ * Loads the event profiles manifest. A missing or broken manifest is not an
+ * error: the booth runs on its defaults.
+ * @param {string} url - Manifest URL ('' for none)
+ * @returns {Promise<Object>} - { profiles, problems }
+ */
+export const loadEventProfiles = (url) => {
+  if (!url) return Promise.resolve({ profiles: [], problems: [] });
+
+  if (!profilesCache.has(url)) {
+    const request = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Event profiles unavailable (${response.status})`);
+        return response.json();
+      })
+      .then((manifest) => {
+        const result = parseEventProfiles(manifest);
+        result.problems.forEach((problem) => console.warn(`Skipping ${problem} in ${url}`));
+        return result;
+      })
+      .catch((error) => {
+        console.warn('Event profiles unavailable, using the defaults:', error);
+        profilesCache.delete(url);
+        return { profiles: [], problems: [error.message] };
+      });
+    profilesCache.set(url, request);
+  }
+
+  return profilesCache.get(url);
+};
@@ -0,0 +1,73 @@
+import { supabase } from './supabaseClient';
+import { dataURLtoBlob } from './imageUtils';
+import { getDataURLFormat } from './compositing/output';
+
+const BUCKET = 'images';
+const PUBLIC_URL_BASE = 'https://crrwcvoimgjghepgrens.supabase.co/storage/v1/object/public/images';
+
+/**
+ * Public URL of a file in the storage bucket
+ * @param {string} path - Path inside the bucket
+ * @returns {string} Public URL
+ */
+export const getPublicUrl = (path) => `${PUBLIC_URL_BASE}/${path}`;
+
+/**
+ * Path inside the storage bucket of one of its public URLs
+ * @param {string} url - Public URL
+ * @returns {string|null} Path, or null for URLs outside the bucket
+ */
+export const getStoragePath = (url) =>
+  typeof url === 'string' && url.startsWith(`${PUBLIC_URL_BASE}/`) ? url.slice(PUBLIC_URL_BASE.length + 1) : null;
+
+/**
+ * Uploads a file to Supabase storage
+ * @param {Blob} blob - File contents
+ * @param {string} path - Path inside the bucket
+ * @param {Object} options - { contentType, upsert (replace an existing file), cacheControl (seconds) }
+ * @returns {Promise<string>} Public URL of the uploaded file
+ */
+export const uploadBlob = async (blob, path, { contentType, upsert = false, cacheControl } = {}) => {
+  const { error } = await supabase.storage
+    .from(BUCKET)
+    .upload(path, blob, {
+      contentType,
+      upsert,
+      ...(cacheControl && { cacheControl })
+    });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return getPublicUrl(path);
+};
+
+/**
+ * Deletes files from Supabase storage
+ * @param {string[]} paths - Paths inside the bucket
+ */
+export const removeFiles = async (paths) => {
+  if (paths.length === 0) return;
+
+  const { error } = await supabase.storage.from(BUCKET).remove(paths);
+  if (error) {
+    throw new Error(error.message);
+  }
+};
+
+/**
+ * Uploads an encoded image to Supabase storage; content type and file
+ * extension follow the data URL's format
+ * @param {string} dataURL - Encoded image
+ * @param {string} baseName - File name prefix, e.g. 'combined-image'
+ * @returns {Promise<string>} Public URL of the uploaded file
+ */
+export const uploadDataURL = async (dataURL, baseName) => {
+  const { mimeType, extension } = getDataURLFormat(dataURL);
+  const fileName = `${baseName}-${Date.now()}.${extension}`;
+
+  return uploadBlob(dataURLtoBlob(dataURL), fileName, { contentType: mimeType });
+};
+
+export default uploadDataURL;
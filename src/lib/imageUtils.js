@@ -0,0 +1,120 @@
+/**
+ * Converts a data URL into a Blob
+ * @param {string} dataURL - The data URL to convert
+ * @returns {Blob} Blob carrying the data URL's MIME type
+ */
+export const dataURLtoBlob = (dataURL) => {
+  const arr = dataURL.split(',');
+  const mime = arr[0].match(/:(.*?);/)[1];
+  const bstr = atob(arr[1]);
+  let n = bstr.length;
+  const u8arr = new Uint8Array(n);
+  while (n--) {
+    u8arr[n] = bstr.charCodeAt(n);
+  }
+  return new Blob([u8arr], { type: mime });
+};
+
+/**
+ * Converts an ArrayBuffer into a base64 string
+ * @param {ArrayBuffer} buffer - Raw bytes
+ * @returns {string} Base64 encoded string
+ */
+export const arrayBufferToBase64 = (buffer) => {
+  let binary = '';
+  const bytes = new Uint8Array(buffer);
+  const len = bytes.byteLength;
+  for (let i = 0; i < len; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary);
+};
+
+/**
+ * Loads an image element from a URL or data URL
+ * @param {string} src - Image source
+ * @param {number} timeoutMs - Reject if the image has not loaded after this long (default: 15000ms)
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+export const loadImage = (src, timeoutMs = 15000) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+
+    const timeout = setTimeout(() => {
+      reject(new Error('Image loading timeout'));
+    }, timeoutMs);
+
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      clearTimeout(timeout);
+      resolve(image);
+    };
+    image.onerror = () => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to load image: ${src.slice(0, 64)}`));
+    };
+    image.src = src;
+  });
+};
+
+/**
+ * Loads a muted, looping video and starts playing it so frames can be drawn
+ * like an image
+ * @param {string} src - Video URL
+ * @param {number} timeoutMs - Reject if the video has not loaded after this long (default: 15000ms)
+ * @returns {Promise<HTMLVideoElement>} The playing video, with width/height set to its intrinsic size
+ */
+export const loadVideo = (src, timeoutMs = 15000) => {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+
+    const timeout = setTimeout(() => {
+      reject(new Error('Video loading timeout'));
+    }, timeoutMs);
+
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      clearTimeout(timeout);
+      // Mirror the intrinsic size so fit and canvas code can measure it like an image
+      video.width = video.videoWidth;
+      video.height = video.videoHeight;
+      video.play().then(() => resolve(video), reject);
+    };
+    video.onerror = () => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to load video: ${src.slice(0, 64)}`));
+    };
+    video.src = src;
+  });
+};
+
+/**
+ * Reads a Blob into a data URL
+ * @param {Blob} blob - Binary data, e.g. a recorded clip
+ * @returns {Promise<string>} Data URL carrying the Blob's MIME type
+ */
+export const blobToDataURL = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Creates an offscreen-sized canvas element
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {HTMLCanvasElement} A detached canvas
+ */
+export const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  return canvas;
+};
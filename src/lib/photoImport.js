@@ -0,0 +1,135 @@
+import { loadImage, createCanvas, blobToDataURL } from './imageUtils';
+
+// Canvas transforms (a, b, c, d, e, f) that turn each EXIF orientation upright.
+// Orientations 5-8 are stored sideways, so the canvas takes swapped sides.
+const ORIENTATION_TRANSFORMS = {
+  1: () => [1, 0, 0, 1, 0, 0],
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w]
+};
+
+// 2x1 JPEG tagged with orientation 6: browsers that honour EXIF decode it as 1x2
+const ORIENTATION_TEST_IMAGE =
+  'data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wCEAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAf/AABEIAAEAAgMBEQACEQEDEQH/xABKAAEAAAAAAAAAAAAAAAAAAAALEAEAAAAAAAAAAAAAAAAAAAAAAQEAAAAAAAAAAAAAAAAAAAAAEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwA/8H//2Q==';
+
+// EXIF lives in the first APP1 segment, well inside the first 64KB
+const EXIF_SCAN_BYTES = 64 * 1024;
+
+let browserOrientsImages;
+
+/**
+ * Reads the EXIF orientation tag from JPEG bytes
+ * @param {ArrayBuffer} buffer - Start of a JPEG file
+ * @returns {number} Orientation 1-8 (1 when missing, unreadable or not a JPEG)
+ */
+export const readExifOrientation = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+
+    // APP1 starting with "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) return 1;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) return 1;
+
+      const entries = view.getUint16(ifd, little);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return 1;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const orientation = view.getUint16(entry + 8, little);
+          return ORIENTATION_TRANSFORMS[orientation] ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+/**
+ * Whether this browser already applies EXIF orientation when decoding
+ * images (all current browsers do; older WebViews do not)
+ * @returns {Promise<boolean>}
+ */
+export const browserAppliesExifOrientation = async () => {
+  if (browserOrientsImages === undefined) {
+    try {
+      const image = await loadImage(ORIENTATION_TEST_IMAGE);
+      browserOrientsImages = image.width === 1 && image.height === 2;
+    } catch (error) {
+      // Undecodable test image: assume the modern default
+      console.warn('Could not detect EXIF orientation support:', error);
+      browserOrientsImages = true;
+    }
+  }
+  return browserOrientsImages;
+};
+
+/**
+ * Draws an image upright for its EXIF orientation, scaled to fit a maximum side
+ * @param {HTMLImageElement} image - Decoded image, as stored (not yet rotated)
+ * @param {number} orientation - EXIF orientation 1-8
+ * @param {number} maxSize - Longest output side in pixels
+ * @returns {HTMLCanvasElement} The upright image
+ */
+export const drawOriented = (image, orientation = 1, maxSize = Infinity) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+  const sideways = orientation >= 5;
+  const canvas = createCanvas(sideways ? height : width, sideways ? width : height);
+
+  const ctx = canvas.getContext('2d');
+  // Photos with transparency are encoded as JPEG, so give them a white backdrop
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(...(ORIENTATION_TRANSFORMS[orientation] || ORIENTATION_TRANSFORMS[1])(width, height));
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Turns a photo picked from disk or dropped on the page into a capture the
+ * removal pipeline accepts: upright, at most maxSize on the long side, JPEG
+ * @param {File} file - Image file
+ * @param {Object} options - { maxSize, quality }
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const importPhotoFile = async (file, { maxSize = 1920, quality = 0.92 } = {}) => {
+  if (!file || !file.type.startsWith('image/')) {
+    throw new Error('Please choose an image file');
+  }
+
+  const [dataURL, orientation] = await Promise.all([
+    blobToDataURL(file),
+    (async () => {
+      if (await browserAppliesExifOrientation()) return 1;
+      return readExifOrientation(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    })()
+  ]);
+
+  let image;
+  try {
+    image = await loadImage(dataURL);
+  } catch (error) {
+    // HEIC and other formats the browser cannot decode end up here
+    throw new Error(`This photo format is not supported: ${file.type}`, { cause: error });
+  }
+  return drawOriented(image, orientation, maxSize).toDataURL('image/jpeg', quality);
+};
@@ -0,0 +1,48 @@
+import { createCanvas } from '../imageUtils';
+
+/**
+ * Turns a single-channel matte into a canvas whose alpha holds the matte
+ * @param {Float32Array} data - Matte values in [0, 1], row-major
+ * @param {number} width - Matte width
+ * @param {number} height - Matte height
+ * @returns {HTMLCanvasElement} Canvas of the matte's size
+ */
+export const maskToCanvas = (data, width, height) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+
+  for (let i = 0; i < width * height; i++) {
+    const alpha = Math.max(0, Math.min(1, data[i]));
+    imageData.data[i * 4] = 255;
+    imageData.data[i * 4 + 1] = 255;
+    imageData.data[i * 4 + 2] = 255;
+    imageData.data[i * 4 + 3] = Math.round(alpha * 255);
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+/**
+ * Cuts the subject out of an image using a (possibly lower resolution) matte.
+ * The matte is upscaled with the canvas' bilinear filtering.
+ * @param {CanvasImageSource} image - Source image at full resolution
+ * @param {Object} mask - { data, width, height } from a segmenter
+ * @returns {HTMLCanvasElement} Full resolution cutout with alpha
+ */
+export const applyMask = (image, mask) => {
+  const width = image.videoWidth || image.width;
+  const height = image.videoHeight || image.height;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.drawImage(image, 0, 0, width, height);
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.drawImage(maskToCanvas(mask.data, mask.width, mask.height), 0, 0, width, height);
+  ctx.globalCompositeOperation = 'source-over';
+
+  return canvas;
+};
+
+export default applyMask;
@@ -0,0 +1,26 @@
+const MODEL_CACHE_NAME = 'segmentation-models-v1';
+
+/**
+ * Fetches a model file, keeping a copy in Cache Storage so that it stays
+ * available after the network drops or the kiosk reloads while offline
+ * @param {string} url - Model URL
+ * @returns {Promise<Uint8Array>} Model bytes
+ */
+export const fetchModel = async (url) => {
+  const cache = typeof caches !== 'undefined' ? await caches.open(MODEL_CACHE_NAME) : null;
+
+  let response = cache ? await cache.match(url) : undefined;
+  if (!response) {
+    response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download segmentation model: ${response.status}`);
+    }
+    if (cache) {
+      await cache.put(url, response.clone());
+    }
+  }
+
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+export default fetchModel;
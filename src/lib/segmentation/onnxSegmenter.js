@@ -0,0 +1,103 @@
+import { createCanvas } from '../imageUtils';
+import { fetchModel } from './modelCache';
+
+/**
+ * Person segmentation with an ONNX matting model running on CPU (WASM).
+ * The model is expected to take a [1, 3, H, W] float tensor and return a
+ * single-channel matte whose last two dimensions are [H, W].
+ * @param {Object} options - Model settings
+ * @param {string} options.modelUrl - URL of the .onnx model
+ * @param {number} options.inputSize - Square input resolution of the model
+ * @param {number[]} options.mean - Per-channel mean, applied to [0, 1] RGB
+ * @param {number[]} options.std - Per-channel standard deviation
+ * @param {boolean} options.normalizeOutput - Min-max normalise the raw output (saliency models)
+ * @param {boolean} options.useWorker - Run inference in onnxruntime's proxy Web Worker
+ * @param {number} options.numThreads - WASM threads (more than 1 needs cross-origin isolation)
+ * @param {string} options.wasmPaths - Optional override of where the .wasm binaries are served from
+ * @returns {Object} Segmenter - { load, segment }
+ */
+export const createOnnxSegmenter = ({
+  modelUrl,
+  inputSize = 512,
+  mean = [0.5, 0.5, 0.5],
+  std = [0.5, 0.5, 0.5],
+  normalizeOutput = false,
+  useWorker = false,
+  numThreads = 1,
+  wasmPaths
+}) => {
+  let sessionPromise = null;
+
+  // Loads onnxruntime and the model once; a failed load may be retried
+  const load = () => {
+    if (!sessionPromise) {
+      sessionPromise = import('onnxruntime-web').then(async (ort) => {
+        // The runtime and its .wasm are bundled with the app, so nothing
+        // is fetched from a CDN
+        ort.env.wasm.proxy = useWorker;
+        ort.env.wasm.numThreads = numThreads;
+        if (wasmPaths) {
+          ort.env.wasm.wasmPaths = wasmPaths;
+        }
+
+        const model = await fetchModel(modelUrl);
+        const session = await ort.InferenceSession.create(model, {
+          executionProviders: ['wasm']
+        });
+        return { ort, session };
+      });
+      sessionPromise.catch(() => {
+        sessionPromise = null;
+      });
+    }
+    return sessionPromise;
+  };
+
+  /**
+   * Computes the subject matte for an image
+   * @param {CanvasImageSource} image - Image, video frame or canvas
+   * @returns {Promise<Object>} Matte - { data: Float32Array in [0, 1], width, height }
+   */
+  const segment = async (image) => {
+    const { ort, session } = await load();
+
+    const canvas = createCanvas(inputSize, inputSize);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, inputSize, inputSize);
+    const { data } = ctx.getImageData(0, 0, inputSize, inputSize);
+
+    const pixels = inputSize * inputSize;
+    const input = new Float32Array(3 * pixels);
+    for (let i = 0; i < pixels; i++) {
+      for (let c = 0; c < 3; c++) {
+        input[c * pixels + i] = (data[i * 4 + c] / 255 - mean[c]) / std[c];
+      }
+    }
+
+    const results = await session.run({
+      [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, inputSize, inputSize])
+    });
+    const output = results[session.outputNames[0]];
+    const [height, width] = output.dims.slice(-2);
+    const matte = Float32Array.from(output.data.subarray(0, width * height));
+
+    if (normalizeOutput) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const value of matte) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      const range = max - min || 1;
+      for (let i = 0; i < matte.length; i++) {
+        matte[i] = (matte[i] - min) / range;
+      }
+    }
+
+    return { data: matte, width, height };
+  };
+
+  return { load, segment };
+};
+
+export default createOnnxSegmenter;
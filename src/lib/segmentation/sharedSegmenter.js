@@ -0,0 +1,19 @@
+import { createOnnxSegmenter } from './onnxSegmenter';
+
+// One segmenter per options object, shared by the live preview and clip
+// recording so the model is only loaded once per session
+const segmenters = new WeakMap();
+
+/**
+ * Returns the session-wide segmenter for an options object
+ * @param {Object} options - Options for createOnnxSegmenter; keep the object stable
+ * @returns {Object} Segmenter - { load, segment }
+ */
+export const getSharedSegmenter = (options) => {
+  if (!segmenters.has(options)) {
+    segmenters.set(options, createOnnxSegmenter(options));
+  }
+  return segmenters.get(options);
+};
+
+export default getSharedSegmenter;
@@ -0,0 +1,53 @@
+import { supabase } from './supabaseClient';
+
+/*
+ * Staff sign-in for the admin screens, using Supabase auth. The role lives in
+ * the user's app_metadata, which only the service role can set, and the
+ * storage policies check the same claim (see README, Managing backgrounds).
+ * The check here only decides what the screen shows; the bucket policies are
+ * what keep anyone else from changing the catalog.
+ */
+
+/**
+ * Whether a signed-in user has the staff role
+ * @param {Object|null} user - Supabase user
+ * @param {string} role - Required role, e.g. 'staff'
+ * @returns {boolean}
+ */
+export const isStaffUser = (user, role) => Boolean(role) && user?.app_metadata?.role === role;
+
+/**
+ * The user signed in on this device
+ * @returns {Promise<Object|null>} Supabase user, or null when signed out
+ */
+export const getSignedInUser = async () => {
+  const { data, error } = await supabase.auth.getSession();
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data.session?.user ?? null;
+};
+
+/**
+ * Signs in with email and password
+ * @param {string} email - Staff account email
+ * @param {string} password - Staff account password
+ * @returns {Promise<Object>} Supabase user
+ */
+export const signInStaff = async (email, password) => {
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data.user;
+};
+
+/**
+ * Signs out on this device
+ */
+export const signOutStaff = async () => {
+  const { error } = await supabase.auth.signOut();
+  if (error) {
+    throw new Error(error.message);
+  }
+};
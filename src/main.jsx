@@ -5,6 +5,8 @@ import "./index.css";
 import { Provider } from "react-redux";
 import { configureStore } from "@reduxjs/toolkit";
 import appReducer from "./features/appSlice";
+import { preloadBackgroundRemoval } from "./lib/backgroundRemoval";
+import { BACKGROUND_REMOVAL_CONFIG, CATALOG_CONFIG } from "./config/appConfig";
 
 const store = configureStore({
   reducer: {
@@ -17,3 +19,22 @@ createRoot(document.getElementById("root")).render(
     <App />
   </Provider>
 );
+
+// Fetch the on-device model (if configured) while the network is up
+preloadBackgroundRemoval(BACKGROUND_REMOVAL_CONFIG).catch((error) => {
+  console.warn("Background removal preload failed:", error);
+});
+
+// Cache the app shell so a reload works without network, together with the
+// background catalog when it is hosted on another origin
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    const catalogScope = new URL(".", new URL(CATALOG_CONFIG.manifestUrl, window.location.href)).href;
+    const workerUrl = catalogScope.startsWith(`${window.location.origin}/`)
+      ? "/sw.js"
+      : `/sw.js?catalogScope=${encodeURIComponent(catalogScope)}`;
+    navigator.serviceWorker.register(workerUrl).catch((error) => {
+      console.warn("Service worker registration failed:", error);
+    });
+  });
+}
@@ -4,4 +4,9 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // onnxruntime-web locates its .wasm relative to its own module; keep the
+  // dev server from pre-bundling it so that lookup still works
+  optimizeDeps: {
+    exclude: ['onnxruntime-web'],
+  },
 })